@@ -1,96 +1,340 @@
-// Run this script with Node.js to convert ABP format to declarativeNetRequest format
-// Usage: node convert-rules.js
+// Run this script with Node.js to convert a filter list to declarativeNetRequest rulesets
+// Usage: node ad_blocker_converter.js [options]   (--help lists them)
+//
+// The list is compiled into <output>/<list id>_<n>.json static rulesets plus a
+// <list id>.snapshot.bin matcher snapshot, and the manifest's
+// declarative_net_request.rule_resources block is rewritten to match,
+// so re-run this whenever oisd_small_abp.txt changes. background.js parses
+// lists with the same FilterParser, which keeps its stats in step with what
+// DNR blocks, and a list added at runtime reads exactly like a converted one.
 
 const fs = require('fs');
+const path = require('path');
+const FilterParser = require('./lib/filter_parser');
+const MatcherSnapshot = require('./lib/matcher_snapshot');
+const { Taxonomy, TAXONOMY_PATH } = require('./lib/taxonomy');
 
-// Read the ABP filter list
-const abpContent = fs.readFileSync('oisd_small_abp.txt', 'utf8');
-const lines = abpContent.split('\n');
+const taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(path.join(__dirname, TAXONOMY_PATH), 'utf8')));
 
-const rules = [];
-let ruleId = 1;
-const MAX_RULES = 30000; // Chrome has a limit of 30,000 static rules per ruleset
+const USAGE = `Usage: node ad_blocker_converter.js [options]
+
+  --input <file>              Filter list to convert (default: oisd_small_abp.txt)
+  --output <dir>              Directory for the ruleset files (default: rules)
+  --list-id <id>              Ruleset id prefix (default: oisd-small, or the input file name)
+  --format <format>           auto, ${FilterParser.LIST_FORMATS.join(', ')} (default: auto)
+  --include-category <list>   Only keep filters in these categories (${taxonomy.ids.join(', ')})
+  --exclude-category <list>   Drop filters in these categories
+  --manifest <file>           Manifest to update (default: manifest.json)
+  --no-manifest               Don't touch the manifest
+  --help                      Show this message
+`;
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = {
+    input: path.join(__dirname, 'oisd_small_abp.txt'),
+    output: path.join(__dirname, 'rules'),
+    listId: null,
+    format: 'auto',
+    includeCategories: null,
+    excludeCategories: [],
+    manifest: path.join(__dirname, 'manifest.json')
+  };
+  let inputGiven = false;
+
+  const categoryList = (value) => value.split(',').map(category => {
+    const match = taxonomy.find(category);
+    if (!match) fail(`Unknown category "${category.trim()}"`);
+    return match;
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) fail(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '--input':
+        args.input = path.resolve(value());
+        inputGiven = true;
+        break;
+      case '--output':
+        args.output = path.resolve(value());
+        break;
+      case '--list-id':
+        args.listId = value();
+        break;
+      case '--format':
+        args.format = value();
+        if (args.format !== 'auto' && !FilterParser.LIST_FORMATS.includes(args.format)) {
+          fail(`Unknown format "${args.format}"`);
+        }
+        break;
+      case '--include-category':
+        args.includeCategories = categoryList(value());
+        break;
+      case '--exclude-category':
+        args.excludeCategories = categoryList(value());
+        break;
+      case '--manifest':
+        args.manifest = path.resolve(value());
+        break;
+      case '--no-manifest':
+        args.manifest = null;
+        break;
+      case '--help':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        fail(`Unknown option "${flag}"`);
+    }
+  }
+
+  // The packaged list's id must match the built-in subscription id in lib/subscriptions.js
+  if (!args.listId) {
+    args.listId = inputGiven
+      ? path.basename(args.input, path.extname(args.input)).toLowerCase().replace(/[^a-z0-9]+/g, '-')
+      : 'oisd-small';
+  }
+
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const LIST_ID = args.listId;
+const OUTPUT_DIR = args.output;
+const MANIFEST_PATH = args.manifest;
+// Ruleset paths in the manifest are relative to the extension root
+const EXTENSION_ROOT = MANIFEST_PATH ? path.dirname(MANIFEST_PATH) : __dirname;
+
+const RULES_PER_RULESET = 5000;
+const ENABLED_RULE_BUDGET = 30000; // Chrome's GUARANTEED_MINIMUM_STATIC_RULES across enabled rulesets
+const MAX_RULESETS = 100; // MAX_NUMBER_OF_STATIC_RULESETS
+const MAX_ENABLED_RULESETS = 50; // MAX_NUMBER_OF_ENABLED_STATIC_RULESETS
+const MAX_REGEX_RULES_PER_RULESET = 1000; // MAX_NUMBER_OF_REGEX_RULES
+
+// ============================================
+// PARSE
+// ============================================
+if (!fs.existsSync(args.input)) {
+  fail(`Input file not found: ${args.input}`);
+}
+
+const listContent = fs.readFileSync(args.input, 'utf8');
+const format = args.format === 'auto' ? FilterParser.detectListFormat(listContent) : args.format;
+const filters = [];
+// Everything the extension's matcher needs, element hiding included
+const snapshotEntries = [];
+const skippedByReason = new Map();
+// /regex/ filters DNR can't take, listed one by one in the summary
+const rejectedRegexes = [];
+const filteredByCategory = new Map();
+let cosmeticCount = 0;
+
+for (const [index, text] of listContent.split('\n').entries()) {
+  const line = index + 1;
+  const filter = FilterParser.parseFilterLine(text, format);
 
-// Parse ABP syntax and convert to declarativeNetRequest rules
-for (const line of lines) {
   // Skip comments and empty lines
-  if (!line.trim() || line.startsWith('!') || line.startsWith('[')) {
+  if (!filter) {
     continue;
   }
-  
-  // Skip element hiding rules (##)
-  if (line.includes('##') || line.includes('#@#')) {
+
+  // Skip (and report) anything we can't express without widening the rule
+  if (filter.error) {
+    skippedByReason.set(filter.error, (skippedByReason.get(filter.error) || 0) + 1);
+    if (filter.regexSource) {
+      rejectedRegexes.push({ line, raw: filter.raw, reason: filter.error });
+    }
     continue;
   }
-  
-  let filter = line.trim();
-  
-  // Skip exception rules for now (those starting with @@)
-  if (filter.startsWith('@@')) {
+
+  // Element hiding rules and $elemhide-only exceptions are applied by the content script
+  if (filter.type === 'cosmetic') {
+    snapshotEntries.push({ filter, category: null, line });
+    cosmeticCount++;
     continue;
   }
-  
-  // Remove options for simplicity (everything after $)
-  if (filter.includes('$')) {
-    filter = filter.split('$')[0];
-  }
-  
-  // Convert ABP wildcards to urlFilter format
-  // Remove leading ||
-  if (filter.startsWith('||')) {
-    filter = filter.substring(2);
+
+  // Filters the taxonomy can't place are left for the extension to categorize per request,
+  // but count as the default category here
+  const category = taxonomy.categorizeFilter(filter);
+  const effectiveCategory = taxonomy.resolve(category);
+  if ((args.includeCategories && !args.includeCategories.includes(effectiveCategory)) ||
+      args.excludeCategories.includes(effectiveCategory)) {
+    filteredByCategory.set(effectiveCategory, (filteredByCategory.get(effectiveCategory) || 0) + 1);
+    continue;
   }
-  
-  // Remove leading |
-  if (filter.startsWith('|')) {
-    filter = filter.substring(1);
+
+  snapshotEntries.push({ filter, category, line });
+
+  // $elemhide-only exceptions have no DNR rule; the content script applies them
+  if (!FilterParser.toDnrRule(filter, 0)) {
+    cosmeticCount++;
+    continue;
   }
-  
-  // Remove trailing |
-  if (filter.endsWith('|')) {
-    filter = filter.substring(0, filter.length - 1);
+
+  filters.push(filter);
+}
+
+// ============================================
+// PRIORITIZE
+// ============================================
+// Lower tiers go first, so they land in the enabled-by-default rulesets:
+// exceptions must sit next to the blocks they undo, a requestDomains rule covers
+// up to a thousand domains, and unrestricted patterns beat ones scoped to a few
+// sites or resource types.
+function ruleTier(rule) {
+  const { condition } = rule;
+  // Blocked pages are redirected to the interstitial, which is still a block
+  if (rule.action.type !== 'block' && rule.action.type !== 'redirect') return 0;
+  if (condition.requestDomains) return 1;
+
+  const restricted = condition.initiatorDomains ||
+    condition.excludedInitiatorDomains ||
+    condition.domainType ||
+    condition.resourceTypes.length < FilterParser.ALL_RESOURCE_TYPES.length;
+  return restricted ? 3 : 2;
+}
+
+const rules = FilterParser.compileDnrRules(filters)
+  .map((rule, index) => ({ rule, index, tier: ruleTier(rule) }))
+  .sort((a, b) => a.tier - b.tier || a.index - b.index)
+  .map(entry => entry.rule);
+
+// ============================================
+// SHARD
+// ============================================
+const rulesets = [];
+let enabledRuleCount = 0;
+let droppedRules = 0;
+
+// A shard also closes once it holds as many regexFilter rules as one ruleset may
+const shards = [];
+let regexRulesInShard = 0;
+for (const rule of rules) {
+  const current = shards[shards.length - 1];
+  const isRegex = !!rule.condition.regexFilter;
+
+  if (!current || current.length >= RULES_PER_RULESET ||
+      (isRegex && regexRulesInShard >= MAX_REGEX_RULES_PER_RULESET)) {
+    shards.push([rule]);
+    regexRulesInShard = isRegex ? 1 : 0;
+  } else {
+    current.push(rule);
+    if (isRegex) regexRulesInShard++;
   }
-  
-  // Skip if empty after processing
-  if (!filter) {
-    continue;
+}
+
+for (const [shardIndex, shardRules] of shards.entries()) {
+  if (rulesets.length >= MAX_RULESETS) {
+    droppedRules = shards.slice(shardIndex).reduce((sum, dropped) => sum + dropped.length, 0);
+    break;
   }
-  
-  // Convert to urlFilter format
-  let urlFilter = filter.replace(/\*/g, '*').replace(/\^/g, '');
-  
-  // Add wildcards if needed
-  if (!urlFilter.startsWith('*')) {
-    urlFilter = '*' + urlFilter;
+
+  // Rule ids only need to be unique within a ruleset
+  const shard = shardRules.map((rule, index) => ({ ...rule, id: index + 1 }));
+  const enabledRulesets = rulesets.filter(ruleset => ruleset.enabled).length;
+  const enabled = enabledRuleCount + shard.length <= ENABLED_RULE_BUDGET &&
+    enabledRulesets < MAX_ENABLED_RULESETS &&
+    rulesets.every(ruleset => ruleset.enabled);
+
+  if (enabled) {
+    enabledRuleCount += shard.length;
   }
-  if (!urlFilter.endsWith('*')) {
-    urlFilter = urlFilter + '*';
+
+  const id = `${LIST_ID}_${rulesets.length + 1}`;
+  const file = path.join(OUTPUT_DIR, `${id}.json`);
+  const rulesetPath = path.relative(EXTENSION_ROOT, file).split(path.sep).join('/');
+  rulesets.push({ id, enabled, file, path: rulesetPath, rules: shard });
+}
+
+// ============================================
+// WRITE
+// ============================================
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+// Drop shards left over from a previous, larger build of this list
+for (const file of fs.readdirSync(OUTPUT_DIR)) {
+  if (file.startsWith(`${LIST_ID}_`) && file.endsWith('.json')) {
+    fs.unlinkSync(path.join(OUTPUT_DIR, file));
   }
-  
-  // Create the rule
-  const rule = {
-    id: ruleId++,
-    priority: 1,
-    action: { type: "block" },
-    condition: {
-      urlFilter: urlFilter,
-      resourceTypes: ["main_frame", "sub_frame", "stylesheet", "script", "image", "font", "object", "xmlhttprequest", "ping", "csp_report", "media", "websocket", "other"]
-    }
-  };
-  
-  rules.push(rule);
-  
-  // Stop if we hit the limit
-  if (rules.length >= MAX_RULES) {
-    console.log(`Reached maximum rule limit (${MAX_RULES}). Stopping conversion.`);
-    break;
+}
+
+// One rule per line to keep the files (and their diffs) small
+for (const ruleset of rulesets) {
+  const json = '[\n' + ruleset.rules.map(rule => JSON.stringify(rule)).join(',\n') + '\n]\n';
+  fs.writeFileSync(ruleset.file, json);
+}
+
+const snapshotFile = path.join(OUTPUT_DIR, `${LIST_ID}.snapshot.bin`);
+fs.writeFileSync(snapshotFile, MatcherSnapshot.encode(snapshotEntries));
+
+// Only the rule_resources block is rewritten; other lists' rulesets are kept
+if (MANIFEST_PATH) {
+  const manifestText = fs.readFileSync(MANIFEST_PATH, 'utf8');
+  const manifest = JSON.parse(manifestText);
+  const resources = (manifest.declarative_net_request?.rule_resources || [])
+    .filter(resource => !resource.id.startsWith(`${LIST_ID}_`))
+    .concat(rulesets.map(({ id, enabled, path: rulesetPath }) => ({ id, enabled, path: rulesetPath })));
+
+  if (!/"rule_resources":\s*\[/.test(manifestText)) {
+    fail(`${MANIFEST_PATH} has no declarative_net_request.rule_resources block to update`);
   }
+
+  // Keep the manifest's own line endings so the rewrite doesn't mix them
+  const eol = /\r\n/.test(manifestText) ? '\r\n' : '\n';
+  const resourcesJson = JSON.stringify(resources, null, 4).replace(/\n/g, `${eol}        `);
+  const updatedManifest = manifestText.replace(/("rule_resources":\s*)\[[^\]]*\]/, `$1${resourcesJson}`);
+  JSON.parse(updatedManifest);
+  fs.writeFileSync(MANIFEST_PATH, updatedManifest);
 }
 
-// Write to rules.json
-fs.writeFileSync('rules.json', JSON.stringify(rules, null, 2));
+// ============================================
+// SUMMARY
+// ============================================
+console.log(`Read ${path.basename(args.input)} as ${format}`);
+console.log(`Compiled ${filters.length} filters into ${rules.length} rules across ${rulesets.length} rulesets\n`);
+console.log('Ruleset\t\tRules\tDomains\tRegex\tEnabled');
+for (const ruleset of rulesets) {
+  const domains = ruleset.rules.reduce((sum, rule) => sum + (rule.condition.requestDomains?.length || 0), 0);
+  const regexRules = ruleset.rules.filter(rule => rule.condition.regexFilter).length;
+  console.log(`${ruleset.id}\t${ruleset.rules.length}\t${domains}\t${regexRules}\t${ruleset.enabled ? 'yes' : 'no'}`);
+}
+console.log(`\n${enabledRuleCount} rules enabled by default (budget ${ENABLED_RULE_BUDGET})`);
+console.log(`Left ${cosmeticCount} element hiding filters to the content script`);
+console.log(`Wrote matcher snapshot ${path.basename(snapshotFile)} (${snapshotEntries.length} filters, ` +
+  `${Math.round(fs.statSync(snapshotFile).size / 1024)} KB)`);
 
-console.log(`Converted ${rules.length} rules to rules.json`);
-console.log(`Skipped ${lines.length - rules.length} lines (comments, element hiding, exceptions, etc.)`);
-console.log('\nImportant: Chrome has a 30,000 static rule limit per ruleset.');
-console.log('For larger lists, consider using dynamic rules or multiple rulesets.');
\ No newline at end of file
+filteredByCategory.forEach((count, category) => {
+  console.log(`Left out ${count} ${category} filters by category`);
+});
+
+if (!MANIFEST_PATH) {
+  console.log('Manifest not updated (--no-manifest)');
+}
+
+if (droppedRules > 0) {
+  console.log(`Dropped ${droppedRules} rules beyond the ${MAX_RULESETS} ruleset limit`);
+}
+
+if (rejectedRegexes.length > 0) {
+  console.log(`\nRejected ${rejectedRegexes.length} regex filters:`);
+  rejectedRegexes.forEach(({ line, raw, reason }) => {
+    console.log(`  line ${line}\t${reason}\t${raw}`);
+  });
+}
+
+if (skippedByReason.size > 0) {
+  console.log('\nSkipped filters:');
+  skippedByReason.forEach((count, reason) => {
+    console.log(`  ${count}\t${reason}`);
+  });
+}
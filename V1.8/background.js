@@ -3,73 +3,22 @@
 // Key Fix: Proper syncing between Map and storage for accurate counts
 // ============================================
 
-class TrieNode {
-  constructor() {
-    this.children = new Map();
-    this.isPattern = false;
-    this.category = null;
-  }
-}
-
-class FilterTrie {
-  constructor() {
-    this.root = new TrieNode();
-    this.patternCount = 0;
-  }
-
-  insert(pattern, category = 'Ad') {
-    let node = this.root;
-    const cleanPattern = this._cleanPattern(pattern);
-    
-    for (const char of cleanPattern) {
-      if (!node.children.has(char)) {
-        node.children.set(char, new TrieNode());
-      }
-      node = node.children.get(char);
-    }
-    
-    node.isPattern = true;
-    node.category = category;
-    this.patternCount++;
-  }
-
-  _cleanPattern(pattern) {
-    return pattern
-      .replace(/^\|\|/, '')
-      .replace(/^\|/, '')
-      .replace(/\|$/, '')
-      .replace(/\*/g, '')
-      .replace(/\^/g, '')
-      .toLowerCase();
-  }
-
-  matches(url) {
-    const cleanUrl = url.toLowerCase();
-    
-    for (let i = 0; i < cleanUrl.length; i++) {
-      const result = this._searchFrom(cleanUrl, i);
-      if (result) return result;
-    }
-    
-    return null;
-  }
-
-  _searchFrom(url, startIdx) {
-    let node = this.root;
-    
-    for (let i = startIdx; i < url.length && node; i++) {
-      const char = url[i];
-      
-      if (node.isPattern) {
-        return { matched: true, category: node.category };
-      }
-      
-      node = node.children.get(char);
-    }
-    
-    return node?.isPattern ? { matched: true, category: node.category } : null;
-  }
-}
+importScripts(
+  'lib/filter_parser.js',
+  'lib/network_matcher.js',
+  'lib/cosmetic_filters.js',
+  'lib/matcher_snapshot.js',
+  'lib/snapshot_store.js',
+  'lib/subscriptions.js',
+  'lib/taxonomy.js',
+  'lib/privacy_headers.js',
+  'lib/stats_history.js',
+  'lib/site_stats.js',
+  'lib/entities.js',
+  'lib/savings_model.js',
+  'lib/backup.js',
+  'lib/migrations.js'
+);
 
 class LRUCache {
   constructor(maxSize = 1000) {
@@ -103,11 +52,23 @@ class LRUCache {
 // ============================================
 // STATE MANAGEMENT
 // ============================================
-const filterTrie = new FilterTrie();
+// Replaced wholesale by loadFilterList() whenever the subscriptions change
+let filterMatcher = new NetworkMatcher();
+let cosmeticIndex = new CosmeticIndex();
+// The taxonomy filterMatcher's categories came from; set along with it
+let categoryTaxonomy = null;
+// Tracker domain -> company, for tagging blocks; null until data/entities.json is read
+let entityMap = null;
 const urlCache = new LRUCache(2000);
 const blockedUrlsByTab = new Map();
 const MAX_STORED_PER_TAB = 300; // Increased from 50 to 300
 
+// Hostnames ("example.com") and wildcard patterns ("*.example.com") where blocking is paused
+let siteAllowlist = [];
+
+// Mirrors adBlockerEnabled so request handlers can check it synchronously
+let blockingEnabled = true;
+
 // Batching configuration
 let storageUpdateTimer = null;
 const STORAGE_BATCH_DELAY = 1000;
@@ -120,15 +81,25 @@ const BADGE_UPDATE_DELAY = 500;
 const XP_PER_AD = 3;
 const COINS_PER_AD = 1;
 
-// Time and Data saved calculations
-const AVG_TIME_PER_AD = 0.12; // 0.12 seconds per ad
-const AVG_DATA_PER_AD = 50; // 50 KB per ad
+// ============================================
+// STORAGE MIGRATIONS
+// ============================================
+// Started before anything else reads storage, and waited for by everything
+// that does (see lib/migrations.js). Never rejects: a failed migration is
+// logged and retried on the next start, and the rest carries on.
+const storageReady = Migrations.migrate(chrome.storage.local)
+  .then(({ from, to, applied }) => {
+    if (applied.length > 0) {
+      console.log(`Storage migrated from schema ${from} to ${to}`);
+    }
+  })
+  .catch(error => console.error('Storage migration failed:', error));
 
 // ============================================
 // DAILY STREAK TRACKING
 // ============================================
 function checkAndUpdateStreak() {
-  chrome.storage.local.get(['dailyStreak', 'lastActiveDate', 'adBlockerEnabled'], (result) => {
+  storageReady.then(() => chrome.storage.local.get(['dailyStreak', 'lastActiveDate', 'adBlockerEnabled'], (result) => {
     const enabled = result.adBlockerEnabled !== false;
     if (!enabled) return;
 
@@ -154,7 +125,7 @@ function checkAndUpdateStreak() {
       dailyStreak: newStreak,
       lastActiveDate: today
     });
-  });
+  }));
 }
 
 let streakCheckedToday = false;
@@ -162,295 +133,1874 @@ let streakCheckedToday = false;
 // ============================================
 // FILTER LOADING
 // ============================================
-async function loadFilterList() {
-  console.time('FilterList Load');
+// Parse one list into { filter, category, line } entries. category is null for
+// network filters the taxonomy can't place; those are categorized per request.
+// categoryOverride files every network filter under that category instead.
+// Lists are read in whatever format they turn out to be, exactly as the converter reads them.
+async function parseFilterList(content, taxonomy, { format = null, categoryOverride = null } = {}) {
+  const listFormat = format || FilterParser.detectListFormat(content);
+  const lines = content.split('\n');
+  const entries = [];
+  const skippedByReason = new Map();
   
-  try {
-    const response = await fetch(chrome.runtime.getURL('oisd_small_abp.txt'));
-    const content = await response.text();
-    const lines = content.split('\n');
-    
-    let loaded = 0;
-    const categorizers = [
-      { regex: /(track|analytics|analytic|pixel|beacon|telemetry|collect|metric|stats|statistic|counter|logger|logging|monitor|telemetrics|insight|heatmap|mouseflow|clicktale|usabilla|hotjar|mixpanel|segment|amplitude|heap|fullstory|smartlook|inspectlet|quantcast|comscore|chartbeat|parsely|snowplow|matomo|piwik|kissmetrics|clicky|woopra|crazy-egg|optimizely|vwo|google-analytics|googletagmanager|gtag|doubleclick|criteo-analytics|facebook-pixel|fbevents|pinterest-tag|twitter-pixel|linkedin-insight|reddit-pixel|tiktok-pixel|snapchat-pixel|omniture|adobe-analytics|sitestat|webtrekk|atinternet|eulerian|xiti|gemius|navegg|retailrocket|conviva|youbora|nice264|streamsense|moat|ias|doubleverify|integral-ad-science|scorecard|newrelic|sentry|bugsnag|rollbar|airbrake|raygun|trackjs|errorception|honeybadger)/i, category: 'Tracker' },
-      { regex: /(advert|banner|popup|sponsor|promo|promotion|affiliate|monetize|adsense|adserver|adservice|adslot|adunit|admob|inmobi|mopub|applovin|chartboost|vungle|unity-ads|ironsource|adcolony|tapjoy|fyber|smaato|pubmatic|rubicon|openx|appnexus|indexexchange|sovrn|triplelift|teads|outbrain|taboola|revcontent|mgid|plista|ligatus|adblade|content\.ad|zone|doubleclick|googlesyndication|googleadservices|amazon-adsystem|casalemedia|advertising\.com|adnxs|rubiconproject|contextweb|advertising|bidswitch|spotx|smartadserver|improvedigital|yieldmo|adform|undertone|conversant|sharethrough|nativo|mediamath|turn\.com|criteo|adroll|retargeter|adtech|exponential|tribal|33across|sonobi|districtm|gumgum|kargo|lockerdome|nanointeractive|beachfront|trustx|rhythmone|emxdigital)/i, category: 'Ad' }
-    ];
-    
-    const CHUNK_SIZE = 1000;
-    for (let i = 0; i < lines.length; i += CHUNK_SIZE) {
-      const chunk = lines.slice(i, i + CHUNK_SIZE);
+  const CHUNK_SIZE = 1000;
+  for (let i = 0; i < lines.length; i += CHUNK_SIZE) {
+    const chunk = lines.slice(i, i + CHUNK_SIZE);
+    
+    for (let j = 0; j < chunk.length; j++) {
+      const filter = FilterParser.parseFilterLine(chunk[j], listFormat);
+      if (!filter) continue;
       
-      for (const line of chunk) {
-        if (!line.trim() || line.startsWith('!') || line.startsWith('[') || 
-            line.includes('##') || line.includes('#@#') || line.startsWith('@@')) {
-          continue;
-        }
-        
-        let filter = line.trim();
-        if (filter.includes('$')) {
-          filter = filter.split('$')[0];
-        }
-        
-        if (!filter) continue;
-        
-        let category = 'Ad';
-        for (const cat of categorizers) {
-          if (cat.regex.test(filter)) {
-            category = cat.category;
-            break;
-          }
-        }
-        
-        filterTrie.insert(filter, category);
-        loaded++;
+      // Same rules the converter skips; never fall back to a wider match
+      if (filter.error) {
+        skippedByReason.set(filter.error, (skippedByReason.get(filter.error) || 0) + 1);
+        continue;
       }
       
-      if (i + CHUNK_SIZE < lines.length) {
-        await new Promise(resolve => setTimeout(resolve, 0));
+      const category = filter.type === 'network'
+        ? categoryOverride || taxonomy.categorizeFilter(filter)
+        : null;
+      entries.push({ filter, category, line: i + j + 1 });
+    }
+    
+    if (i + CHUNK_SIZE < lines.length) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  
+  return { entries, skippedByReason };
+}
+
+// Add parsed entries to a matcher that is still being built; returns the network filters
+function addFilterEntries(entries, matcher, cosmetic, listId) {
+  const networkFilters = [];
+  
+  for (const { filter, category, line } of entries) {
+    if (filter.type === 'cosmetic') {
+      cosmetic.add(filter);
+    } else {
+      matcher.insert(filter, category, { listId, line });
+      networkFilters.push(filter);
+    }
+  }
+  
+  return networkFilters;
+}
+
+/**
+ * Entries of one subscription from the fastest source that is still current:
+ * the converter's snapshot for a built-in list that was never updated, a
+ * snapshot cached for exactly this content, or a full parse that refreshes
+ * the cache. content is null when the packaged snapshot was used.
+ */
+async function loadSubscriptionEntries(subscription, override, taxonomy) {
+  let content = override ?? await Subscriptions.getStoredSubscriptionContent(subscription.id);
+  
+  if (content === undefined && subscription.builtin) {
+    try {
+      const packaged = await SnapshotStore.getPackagedSnapshot(subscription);
+      if (packaged) {
+        return { entries: MatcherSnapshot.decode(packaged), content: null, skippedByReason: new Map() };
       }
+    } catch (error) {
+      console.warn(`Packaged snapshot of ${subscription.id} unusable, parsing the list:`, error);
+    }
+  }
+  
+  content = content ?? await Subscriptions.getBundledContent(subscription);
+  const contentHash = MatcherSnapshot.hashContent(content);
+  
+  try {
+    const cached = await SnapshotStore.readCachedSnapshot(subscription.id, contentHash);
+    if (cached) {
+      return { entries: MatcherSnapshot.decode(cached), content, skippedByReason: new Map() };
+    }
+  } catch (error) {
+    console.warn(`Cached snapshot of ${subscription.id} unusable, parsing the list:`, error);
+  }
+  
+  const { entries, skippedByReason } = await parseFilterList(content, taxonomy);
+  SnapshotStore.writeCachedSnapshot(subscription.id, contentHash, MatcherSnapshot.encode(entries))
+    .catch(error => console.warn(`Could not cache snapshot of ${subscription.id}:`, error));
+  
+  return { entries, content, skippedByReason };
+}
+
+// Built-in lists are compiled into static rulesets, which only match the
+// packaged copy of the list. Once a downloaded copy replaces it, the whole
+// list becomes dynamic rules instead, so lines removed upstream stop blocking.
+async function usesStaticRules(subscription, content) {
+  if (!subscription.builtin) return false;
+  if (content === null) return true;
+  
+  return content === await Subscriptions.getBundledContent(subscription);
+}
+
+// staticIds: subscriptions whose static rulesets stay in use
+async function syncSubscriptionRules(subscriptions, filters, staticIds) {
+  const { start, end } = DYNAMIC_RULE_RANGES.subscriptions;
+  const rules = FilterParser.compileDnrRules(filters);
+  
+  if (rules.length > end - start + 1) {
+    console.warn(`Subscriptions need ${rules.length} dynamic rules; only the first ${end - start + 1} are installed`);
+  }
+  
+  // Dynamic rules first: if they can't be installed, the static ones stay as they were
+  await replaceDynamicRules('subscriptions', rules.slice(0, end - start + 1));
+  
+  const isStatic = sub => sub.enabled && staticIds.has(sub.id);
+  const enableRulesetIds = subscriptions.filter(isStatic).flatMap(sub => sub.rulesetIds);
+  const disableRulesetIds = subscriptions.filter(sub => !isStatic(sub)).flatMap(sub => sub.rulesetIds);
+  await chrome.declarativeNetRequest.updateEnabledRulesets({ enableRulesetIds, disableRulesetIds });
+}
+
+/**
+ * Rebuild the matcher from every enabled subscription and the user's own
+ * filters, and swap it in at once.
+ * contentOverrides tries out downloaded lists before they are stored; with
+ * syncRules the subscriptions' DNR rules are replaced too. customFilters does
+ * the same for an edited set of custom filters. Nothing is stored or swapped
+ * unless the DNR update succeeds.
+ */
+async function loadFilterList({ contentOverrides = {}, syncRules = false, customFilters = null } = {}) {
+  console.time('FilterList Load');
+  
+  const subscriptions = await Subscriptions.getSubscriptions();
+  const taxonomy = await Taxonomy.load();
+  const matcher = new NetworkMatcher();
+  const cosmetic = new CosmeticIndex();
+  const dynamicRuleFilters = [];
+  const staticSubscriptionIds = new Set();
+  const skipped = {};
+  
+  for (const subscription of subscriptions) {
+    if (!subscription.enabled) continue;
+    
+    const { entries, content, skippedByReason } =
+      await loadSubscriptionEntries(subscription, contentOverrides[subscription.id], taxonomy);
+    const networkFilters = addFilterEntries(entries, matcher, cosmetic, subscription.id);
+    
+    skippedByReason.forEach((count, reason) => {
+      skipped[reason] = (skipped[reason] || 0) + count;
+    });
+    
+    if (!syncRules) continue;
+    
+    if (await usesStaticRules(subscription, content)) {
+      staticSubscriptionIds.add(subscription.id);
+    } else {
+      dynamicRuleFilters.push(...networkFilters);
+    }
+  }
+  
+  // Custom filters go in last, like one more list with its own category.
+  // Disabled entries stay as blank lines so line numbers match the My Filters list.
+  const custom = customFilters ?? await getCustomFilters();
+  const customContent = custom.map(entry => entry.enabled ? entry.text : '').join('\n');
+  const { entries: customEntries } = await parseFilterList(customContent, taxonomy, {
+    format: 'abp',
+    categoryOverride: CUSTOM_FILTER_CATEGORY
+  });
+  const customNetworkFilters = addFilterEntries(customEntries, matcher, cosmetic, CUSTOM_LIST_ID);
+  
+  if (syncRules) {
+    await syncSubscriptionRules(subscriptions, dynamicRuleFilters, staticSubscriptionIds);
+  }
+  
+  if (customFilters) {
+    const rules = FilterParser.compileDnrRules(customNetworkFilters);
+    await replaceDynamicRules('custom', rules);
+    await chrome.storage.local.set({ customFilters });
+  }
+  
+  await Promise.all(Object.entries(contentOverrides).map(([id, content]) => Subscriptions.storeSubscriptionContent(id, content)));
+  
+  filterMatcher = matcher;
+  cosmeticIndex = cosmetic;
+  categoryTaxonomy = taxonomy;
+  urlCache.cache.clear();
+  
+  if (!matcherReady) {
+    evaluateEarlyRequests();
+  }
+  
+  console.timeEnd('FilterList Load');
+  console.log(`Loaded ${matcher.patternCount} patterns (${matcher.exceptionCount} exceptions, ${cosmetic.selectorCount} element hiding)`);
+  if (Object.keys(skipped).length > 0) {
+    console.warn('Skipped filters:', skipped);
+  }
+}
+
+// The first load waits for the migrations like the rest of the startup work
+let filterListReady = storageReady;
+
+// ============================================
+// CUSTOM FILTERS
+// ============================================
+// Stored as [{ id, text, enabled }], one ABP filter per entry
+const CUSTOM_LIST_ID = 'custom';
+// Taxonomy category blocks by custom filters are counted under
+const CUSTOM_FILTER_CATEGORY = 'Custom';
+
+function getCustomFilters() {
+  return chrome.storage.local.get(['customFilters']).then(result => result.customFilters || []);
+}
+
+// Drops malformed entries and anything the parser can't handle before it reaches DNR
+function sanitizeCustomFilters(filters) {
+  return (filters || [])
+    .filter(entry => entry && typeof entry.text === 'string')
+    .map(entry => ({
+      id: String(entry.id),
+      text: entry.text.trim(),
+      enabled: entry.enabled !== false
+    }))
+    .filter(entry => {
+      const parsed = FilterParser.parseFilterLine(entry.text);
+      return parsed && !parsed.error;
+    });
+}
+
+/**
+ * Add "@@pattern$domain=site" to the custom filters, so a rule that breaks a
+ * site stops applying there and keeps working everywhere else.
+ */
+async function addSiteException(pattern, hostname) {
+  const site = FilterParser.getRegistrableDomain(hostname);
+  const text = `@@${pattern}$domain=${site}`;
+  const parsed = FilterParser.parseFilterLine(text);
+  if (!site || !parsed || parsed.error) {
+    throw new Error(`Can't build an exception for ${pattern}`);
+  }
+  
+  const filters = await getCustomFilters();
+  if (!filters.some(entry => entry.text === text)) {
+    const entry = { id: `${Date.now().toString(36)}-exception`, text, enabled: true };
+    await reloadFilterLists({ customFilters: sanitizeCustomFilters([...filters, entry]) });
+  }
+  
+  return text;
+}
+
+async function getDynamicRuleSlots() {
+  const dnr = chrome.declarativeNetRequest;
+  const max = dnr.MAX_NUMBER_OF_DYNAMIC_RULES || dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES;
+  const rules = await dnr.getDynamicRules();
+  
+  const { start, end } = DYNAMIC_RULE_RANGES.custom;
+  const customUsed = rules.filter(rule => rule.id >= start && rule.id <= end).length;
+  const othersUsed = rules.length - customUsed;
+  
+  return {
+    used: rules.length,
+    max,
+    customUsed,
+    customMax: Math.min(end - start + 1, max - othersUsed)
+  };
+}
+
+// Rebuilds run one at a time; filterListReady settles once the latest has finished
+function reloadFilterLists(options) {
+  const run = filterListReady.then(() => loadFilterList(options));
+  filterListReady = run.catch((error) => console.error('Error loading filter list:', error));
+  return run;
+}
+
+// ============================================
+// SUBSCRIPTION UPDATES
+// ============================================
+let subscriptionQueue = storageReady;
+
+// Subscription changes read-modify-write the whole list, so they run one at a time
+function runSubscriptionTask(task) {
+  const run = subscriptionQueue.then(task);
+  subscriptionQueue = run.catch((error) => console.error('Subscription task failed:', error));
+  return run;
+}
+
+async function updateSubscription(id) {
+  const subscriptions = await Subscriptions.getSubscriptions();
+  const subscription = subscriptions.find(sub => sub.id === id);
+  if (!subscription) return null;
+  
+  subscription.lastChecked = Date.now();
+  
+  try {
+    const content = await Subscriptions.downloadSubscription(subscription);
+    const previousContent = await Subscriptions.getSubscriptionContent(subscription);
+    const filterCount = Subscriptions.validateFilterList(content, previousContent);
+    const header = Subscriptions.parseListHeader(content);
+    
+    if (subscription.enabled) {
+      await reloadFilterLists({ contentOverrides: { [id]: content }, syncRules: true });
+    } else {
+      await Subscriptions.storeSubscriptionContent(id, content);
     }
     
-    console.timeEnd('FilterList Load');
-    console.log(`Loaded ${loaded} patterns`);
+    Object.assign(subscription, {
+      title: header.title || subscription.title,
+      version: header.version,
+      lastModified: header.lastModified,
+      expiresHours: header.expiresHours,
+      lastUpdated: Date.now(),
+      filterCount,
+      diff: Subscriptions.diffFilterLists(previousContent, content),
+      error: null
+    });
   } catch (error) {
-    console.error('Error loading filter list:', error);
+    console.warn(`Update of ${subscription.url} failed:`, error);
+    subscription.error = error.message;
+  }
+  
+  subscription.nextUpdate = Subscriptions.getNextUpdateTime(subscription, !!subscription.error);
+  await Subscriptions.saveSubscriptions(subscriptions);
+  await Subscriptions.scheduleSubscriptionUpdate(subscription);
+  
+  return subscription;
+}
+
+async function scheduleAllSubscriptions() {
+  const subscriptions = await Subscriptions.getSubscriptions();
+  await Promise.all(subscriptions.map(Subscriptions.scheduleSubscriptionUpdate));
+}
+
+async function setSubscriptionEnabled(id, enabled) {
+  const subscriptions = await Subscriptions.getSubscriptions();
+  const subscription = subscriptions.find(sub => sub.id === id);
+  if (!subscription) throw new Error('Unknown subscription');
+  
+  subscription.enabled = enabled;
+  await Subscriptions.saveSubscriptions(subscriptions);
+  await reloadFilterLists({ syncRules: true });
+  await Subscriptions.scheduleSubscriptionUpdate(subscription);
+  
+  return subscriptions;
+}
+
+async function addSubscription(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (e) {
+    throw new Error('Enter a valid list URL');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('Only http(s) list URLs are supported');
   }
+  
+  const subscriptions = await Subscriptions.getSubscriptions();
+  if (subscriptions.some(sub => sub.url === parsed.href)) {
+    throw new Error('Already subscribed to this list');
+  }
+  
+  const subscription = Subscriptions.createSubscription({ id: `list-${Date.now().toString(36)}`, url: parsed.href });
+  subscriptions.push(subscription);
+  await Subscriptions.saveSubscriptions(subscriptions);
+  
+  return updateSubscription(subscription.id);
+}
+
+async function removeSubscription(id) {
+  const subscriptions = await Subscriptions.getSubscriptions();
+  const subscription = subscriptions.find(sub => sub.id === id);
+  if (!subscription || subscription.builtin) throw new Error('Built-in lists can only be disabled');
+  
+  await Subscriptions.saveSubscriptions(subscriptions.filter(sub => sub.id !== id));
+  await Subscriptions.removeSubscriptionContent(id);
+  await SnapshotStore.deleteCachedSnapshot(id).catch(() => {});
+  await chrome.alarms.clear(Subscriptions.SUBSCRIPTION_ALARM_PREFIX + id);
+  await reloadFilterLists({ syncRules: true });
+  
+  return Subscriptions.getSubscriptions();
 }
 
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // An alarm can be what wakes the worker, before the migrations have run
+  await storageReady;
+  
+  const id = Subscriptions.getSubscriptionIdFromAlarm(alarm.name);
+  if (id) {
+    runSubscriptionTask(() => updateSubscription(id));
+  }
+});
+
 // ============================================
 // URL CHECKING
 // ============================================
-function checkUrlBlocked(url) {
-  if (urlCache.has(url)) {
-    return urlCache.get(url);
+function checkUrlBlocked(details) {
+  const context = FilterParser.buildRequestContext(details);
+  
+  // Options make the verdict depend on type and initiator, not just the URL
+  const cacheKey = `${context.type}|${details.initiator || ''}|${details.url}`;
+  if (urlCache.has(cacheKey)) {
+    return urlCache.get(cacheKey);
   }
   
-  const result = filterTrie.matches(url);
-  urlCache.set(url, result);
+  const result = filterMatcher.matches(details.url, context);
+  urlCache.set(cacheKey, result);
   
   return result;
 }
 
 // ============================================
-// URL SHORTENING
+// FILTER TESTER
 // ============================================
-const urlShortener = (() => {
-  const cache = new Map();
-  const MAX_CACHE = 500;
+// Used by popup/tester.html: what the matcher and DNR make of a request,
+// without a tab or the URL cache in the way.
+async function testRequest({ url, type, initiator }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url.trim());
+  } catch (e) {
+    return { url, error: 'Not a valid URL' };
+  }
   
-  return (url, maxLength = 100) => {
-    if (cache.has(url)) return cache.get(url);
+  // "example.com" is accepted as shorthand for its https origin
+  let initiatorOrigin;
+  if (initiator) {
+    try {
+      initiatorOrigin = new URL(initiator.includes('://') ? initiator : `https://${initiator}`).origin;
+    } catch (e) {
+      return { url, error: 'Not a valid initiator site' };
+    }
+  }
+  const details = { url: parsedUrl.href, type, initiator: initiatorOrigin, tabId: -1 };
+  
+  await filterListReady;
+  const result = filterMatcher.matches(details.url, FilterParser.buildRequestContext(details));
+  const siteHost = type === 'main_frame' ? parsedUrl.hostname : FilterParser.hostnameFromUrl(initiatorOrigin);
+  
+  return {
+    url: details.url,
+    verdict: result?.matched ? 'blocked' : result?.allowed ? 'allowed' : 'no match',
+    rule: result?.rule || null,
+    listId: result?.listId || null,
+    line: result?.line || null,
+    category: result ? categorizeBlock(details.url, result) : null,
+    blockedBy: result?.blockedBy || null,
+    siteAllowlisted: !!siteHost && isSiteAllowlisted(siteHost),
+    blockingEnabled,
+    dnr: await testDnrOutcome(details)
+  };
+}
+
+// testMatchOutcome only exists for unpacked extensions (and recent Chrome versions)
+async function testDnrOutcome({ url, type, initiator }) {
+  const dnr = chrome.declarativeNetRequest;
+  if (!dnr.testMatchOutcome) {
+    return { available: false };
+  }
+  
+  try {
+    const { matchedRules } = await dnr.testMatchOutcome({ url, type, initiator, tabId: -1 });
+    const dynamicRules = matchedRules.some(rule => rule.rulesetId === '_dynamic')
+      ? await dnr.getDynamicRules()
+      : [];
     
-    let shortened;
-    if (url.length <= maxLength) {
-      shortened = url;
+    return {
+      available: true,
+      matchedRules: matchedRules.map(({ ruleId, rulesetId }) => ({
+        ruleId,
+        rulesetId,
+        action: dynamicRules.find(rule => rule.id === ruleId)?.action.type || null
+      }))
+    };
+  } catch (error) {
+    return { available: false, error: error.message };
+  }
+}
+
+// ============================================
+// DYNAMIC RULES
+// ============================================
+// Each feature owns a block of dynamic rule IDs, so it can swap out its own
+// rules without knowing about anyone else's.
+const DYNAMIC_RULE_RANGES = {
+  allowlist: { start: 1, end: 999 },
+  custom: { start: 1000, end: 5999 },
+  power: { start: 6000, end: 6009 },
+  urlCleaning: { start: 6010, end: 6099 },
+  privacyHeaders: { start: 6100, end: 6199 },
+  subscriptions: { start: 100000, end: 119999 }
+};
+
+let dynamicRuleQueue = Promise.resolve();
+
+// regexFilter rules Chrome turned down, by range, for the pages that install them
+const rejectedRegexRules = {};
+
+/**
+ * Split rules into the ones DNR will take and the regexFilter rules it won't:
+ * those isRegexSupported() rejects and those past the regex rule quota, which
+ * every range shares. regexRulesInUse counts the other ranges' regex rules.
+ */
+async function checkRegexRules(rules, regexRulesInUse) {
+  const dnr = chrome.declarativeNetRequest;
+  const quota = (dnr.MAX_NUMBER_OF_REGEX_RULES || 1000) - regexRulesInUse;
+  const accepted = [];
+  const rejected = [];
+  let regexCount = 0;
+  
+  for (const rule of rules) {
+    const regex = rule.condition.regexFilter;
+    if (!regex) {
+      accepted.push(rule);
+      continue;
+    }
+    
+    const { isSupported, reason } = await dnr.isRegexSupported({
+      regex,
+      isCaseSensitive: !!rule.condition.isUrlFilterCaseSensitive
+    });
+    
+    if (!isSupported) {
+      rejected.push({ regex, reason });
+    } else if (regexCount >= quota) {
+      rejected.push({ regex, reason: 'regexRuleLimitExceeded' });
     } else {
-      const halfLength = Math.floor((maxLength - 3) / 2);
-      shortened = url.substring(0, halfLength) + '...' + url.substring(url.length - halfLength);
+      accepted.push(rule);
+      regexCount++;
     }
+  }
+  
+  return { accepted, rejected };
+}
+
+// Resolves to the regexFilter rules that were left out ([{ regex, reason }])
+function replaceDynamicRules(rangeName, rules) {
+  const { start, end } = DYNAMIC_RULE_RANGES[rangeName];
+  
+  // Serialize updates: two interleaved get/update pairs would reuse the same IDs
+  dynamicRuleQueue = dynamicRuleQueue.catch(() => {}).then(async () => {
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    const inRange = (rule) => rule.id >= start && rule.id <= end;
+    const regexRulesInUse = existing.filter(rule => !inRange(rule) && rule.condition.regexFilter).length;
+    const { accepted, rejected } = await checkRegexRules(rules, regexRulesInUse);
     
-    if (cache.size >= MAX_CACHE) {
-      const firstKey = cache.keys().next().value;
-      cache.delete(firstKey);
+    if (accepted.length > end - start + 1) {
+      throw new Error(`Too many ${rangeName} rules (${accepted.length}, max ${end - start + 1})`);
+    }
+    if (rejected.length > 0) {
+      console.warn(`Left out ${rejected.length} ${rangeName} regex rules:`, rejected);
     }
     
-    cache.set(url, shortened);
-    return shortened;
-  };
-})();
+    const removeRuleIds = existing.filter(inRange).map(rule => rule.id);
+    const addRules = accepted.map((rule, i) => ({ ...rule, id: start + i }));
+    
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    rejectedRegexRules[rangeName] = rejected;
+    return rejected;
+  });
+  
+  return dynamicRuleQueue;
+}
 
 // ============================================
-// FIXED: PROPER STORAGE SYNC
+// POWER BUTTON
 // ============================================
-function saveBlockedUrlsToStorage() {
-  const dataToStore = {};
+// Turning the blocker off installs allow rules that outrank every other rule,
+// so static rulesets, subscriptions and custom filters all stop at once.
+function applyBlockingState(enabled) {
+  blockingEnabled = enabled;
+  urlCache.cache.clear();
   
-  blockedUrlsByTab.forEach((tabData, tabId) => {
-    dataToStore[tabId] = tabData;
-  });
+  const rules = enabled ? [] : [
+    {
+      priority: FilterParser.PRIORITY.POWER_OFF,
+      action: { type: 'allowAllRequests' },
+      condition: { resourceTypes: ['main_frame', 'sub_frame'] }
+    },
+    {
+      // Requests outside any frame (workers, prefetches) aren't covered by allowAllRequests
+      priority: FilterParser.PRIORITY.POWER_OFF,
+      action: { type: 'allow' },
+      condition: { resourceTypes: FilterParser.ALL_RESOURCE_TYPES }
+    }
+  ];
   
-  chrome.storage.local.set({ blockedUrlsByTab: dataToStore });
+  return replaceDynamicRules('power', rules);
 }
 
-function scheduleStorageUpdate() {
-  if (storageUpdateTimer) {
-    clearTimeout(storageUpdateTimer);
+// ============================================
+// SITE ALLOWLIST
+// ============================================
+const ALLOWLIST_ENTRY_RE = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+// Accepts a hostname, a "*.domain" pattern or a pasted URL; returns null if invalid
+function normalizeAllowlistEntry(input) {
+  let entry = (input || '').trim().toLowerCase();
+  
+  if (entry.includes('://')) {
+    entry = FilterParser.hostnameFromUrl(entry);
   }
+  entry = entry.replace(/\.$/, '');
   
-  storageUpdateTimer = setTimeout(() => {
-    saveBlockedUrlsToStorage();
-    storageUpdateTimer = null;
-  }, STORAGE_BATCH_DELAY);
+  return ALLOWLIST_ENTRY_RE.test(entry) ? entry : null;
+}
+
+function allowlistEntryMatches(entry, hostname) {
+  if (entry.startsWith('*.')) {
+    return FilterParser.isSameOrSubdomain(hostname, entry.substring(2));
+  }
+  return hostname === entry;
+}
+
+function isSiteAllowlisted(hostname) {
+  if (!hostname) return false;
+  return siteAllowlist.some(entry => allowlistEntryMatches(entry, hostname));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// allowAllRequests on the top frame also covers every request the page makes
+function createAllowlistRule(entry) {
+  const condition = entry.startsWith('*.')
+    ? { requestDomains: [entry.substring(2)] }
+    : { regexFilter: `^https?://${escapeRegExp(entry)}(:[0-9]+)?/` };
+  
+  return {
+    priority: FilterParser.PRIORITY.ALLOWLIST,
+    action: { type: 'allowAllRequests' },
+    condition: { ...condition, resourceTypes: ['main_frame'] }
+  };
+}
+
+function saveAllowlist(entries) {
+  siteAllowlist = entries;
+  urlCache.cache.clear();
+  
+  return Promise.all([
+    chrome.storage.local.set({ allowlist: entries }),
+    replaceDynamicRules('allowlist', entries.map(createAllowlistRule)),
+    pruneSitePauses(entries)
+  ]);
+}
+
+function loadAllowlist() {
+  return chrome.storage.local.get(['allowlist']).then((result) => {
+    siteAllowlist = result.allowlist || [];
+    return siteAllowlist;
+  });
+}
+
+// The page a request belongs to, which is what the allowlist is keyed on
+function getSiteHostname(details) {
+  if (details.type === 'main_frame') {
+    return FilterParser.hostnameFromUrl(details.url);
+  }
+  return blockedUrlsByTab.get(details.tabId)?.domain || FilterParser.hostnameFromUrl(details.initiator);
+}
+
+// ============================================
+// TIMED PAUSE
+// ============================================
+// A pause is stored as { until }, a timestamp, or { until: null } for "until
+// the browser restarts". A global pause turns the power button off and a site
+// pause adds an allowlist entry, so everything downstream works as before;
+// an alarm undoes them, which wakes the worker if it was terminated. A site
+// pause also records ownsEntry: false when the hostname was allowlisted
+// already, so that ending it leaves the user's own entry in place.
+const PAUSE_ALARM = 'pause';
+const SITE_PAUSE_ALARM_PREFIX = 'pause:';
+const PAUSE_BADGE_TEXT = 'II';
+const PAUSE_BADGE_COLOR = '#FF9800';
+
+function createPause(minutes) {
+  return { until: minutes ? Date.now() + minutes * 60000 : null };
+}
+
+function getPauses() {
+  return chrome.storage.local.get(['blockingPause', 'sitePauses']).then(result => ({
+    blockingPause: result.blockingPause || null,
+    sitePauses: result.sitePauses || {}
+  }));
+}
+
+// Everything that follows the power button: the rules, the icon and the badges
+function setBlockingEnabled(enabled) {
+  const iconPath = enabled ? 'icons/tempIcon.png' : 'icons/tempIcon_grey.png';
+  
+  return chrome.storage.local.set({ adBlockerEnabled: enabled })
+    .then(() => applyBlockingState(enabled))
+    .then(() => chrome.tabs.query({}))
+    .then((tabs) => {
+      tabs.forEach(tab => {
+        chrome.action.setIcon({ path: iconPath, tabId: tab.id });
+        updateBadgeForTab(tab.id);
+      });
+    });
+}
+
+async function pauseBlocking(minutes) {
+  const pause = createPause(minutes);
+  await chrome.storage.local.set({ blockingPause: pause });
+  
+  await chrome.alarms.clear(PAUSE_ALARM);
+  if (pause.until) {
+    chrome.alarms.create(PAUSE_ALARM, { when: pause.until });
+  }
+  
+  await setBlockingEnabled(false);
+  return pause;
+}
+
+// Also used when the power button is pressed, which ends any pause
+async function clearBlockingPause() {
+  await chrome.alarms.clear(PAUSE_ALARM);
+  await chrome.storage.local.remove('blockingPause');
+}
+
+async function resumeBlocking() {
+  await clearBlockingPause();
+  await setBlockingEnabled(true);
+}
+
+async function pauseSite(input, minutes) {
+  const hostname = normalizeAllowlistEntry(input);
+  if (!hostname) throw new Error('Invalid hostname');
+  
+  // A worker woken by the alarm hasn't read the allowlist yet
+  const entries = await loadAllowlist();
+  const { sitePauses } = await getPauses();
+  const pause = {
+    ...createPause(minutes),
+    ownsEntry: !entries.includes(hostname) || ownsAllowlistEntry(sitePauses[hostname])
+  };
+  sitePauses[hostname] = pause;
+  await chrome.storage.local.set({ sitePauses });
+  
+  await chrome.alarms.clear(SITE_PAUSE_ALARM_PREFIX + hostname);
+  if (pause.until) {
+    chrome.alarms.create(SITE_PAUSE_ALARM_PREFIX + hostname, { when: pause.until });
+  }
+  
+  await saveAllowlist([...new Set([...entries, hostname])]);
+  updateAllBadges();
+  return pause;
+}
+
+// Pauses stored before ownsEntry was recorded always added their entry
+function ownsAllowlistEntry(pause) {
+  return Boolean(pause) && pause.ownsEntry !== false;
+}
+
+async function resumeSite(hostname) {
+  const entries = await loadAllowlist();
+  const { sitePauses } = await getPauses();
+  
+  if (ownsAllowlistEntry(sitePauses[hostname])) {
+    // saveAllowlist drops the pause along with the entry
+    await saveAllowlist(entries.filter(entry => entry !== hostname));
+  }
+  await pruneSitePauses(siteAllowlist, [hostname]);
+  updateAllBadges();
+}
+
+// Site pauses whose allowlist entry is gone (or that are listed in ended) are forgotten
+async function pruneSitePauses(entries, ended = []) {
+  const { sitePauses } = await getPauses();
+  const gone = Object.keys(sitePauses)
+    .filter(hostname => !entries.includes(hostname) || ended.includes(hostname));
+  if (gone.length === 0) return;
+  
+  gone.forEach(hostname => delete sitePauses[hostname]);
+  await chrome.storage.local.set({ sitePauses });
+  await Promise.all(gone.map(hostname => chrome.alarms.clear(SITE_PAUSE_ALARM_PREFIX + hostname)));
+}
+
+function isPauseOver(pause, browserRestarted) {
+  return pause.until === null ? browserRestarted : pause.until <= Date.now();
+}
+
+/**
+ * Ends pauses that ran out while nothing was listening (the alarm was lost
+ * with the browser, say) and re-arms the alarms of the rest. On browser
+ * startup "until restart" pauses end too.
+ */
+async function restorePauses({ browserRestarted = false } = {}) {
+  const { blockingPause, sitePauses } = await getPauses();
+  
+  if (blockingPause) {
+    if (isPauseOver(blockingPause, browserRestarted)) {
+      await resumeBlocking();
+    } else if (blockingPause.until) {
+      chrome.alarms.create(PAUSE_ALARM, { when: blockingPause.until });
+    }
+  }
+  
+  for (const [hostname, pause] of Object.entries(sitePauses)) {
+    if (isPauseOver(pause, browserRestarted)) {
+      await resumeSite(hostname);
+    } else if (pause.until) {
+      chrome.alarms.create(SITE_PAUSE_ALARM_PREFIX + hostname, { when: pause.until });
+    }
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // An alarm can be what wakes the worker, before the migrations have run
+  await storageReady;
+  
+  if (alarm.name === PAUSE_ALARM) {
+    resumeBlocking().catch(error => console.error('Error resuming blocking:', error));
+  } else if (alarm.name.startsWith(SITE_PAUSE_ALARM_PREFIX)) {
+    resumeSite(alarm.name.substring(SITE_PAUSE_ALARM_PREFIX.length))
+      .catch(error => console.error('Error resuming site:', error));
+  }
+});
+
+// ============================================
+// URL CLEANING
+// ============================================
+// Tracking parameters (utm_source, fbclid, ...) listed in
+// data/tracking_params.json are stripped with DNR redirect rules. Sites in
+// the exception list are left alone, both as a destination and as the page
+// making the request.
+const TRACKING_PARAMS_PATH = 'data/tracking_params.json';
+// Taxonomy category cleaned URLs are logged and counted under
+const CLEANED_URL_CATEGORY = 'CleanedUrl';
+// Each rule's regexFilter names this many parameters; DNR caps the size of a compiled regex
+const PARAMS_PER_CLEANING_RULE = 10;
+// WebSocket and CSP report requests can't be redirected
+const URL_CLEANING_RESOURCE_TYPES = FilterParser.ALL_RESOURCE_TYPES
+  .filter(type => type !== 'websocket' && type !== 'csp_report');
+
+let urlCleaningEnabled = true;
+let urlCleaningExceptions = [];
+let trackingParams = new Set();
+
+async function loadTrackingParams() {
+  const response = await fetch(chrome.runtime.getURL(TRACKING_PARAMS_PATH));
+  const { groups } = await response.json();
+  return groups.flatMap(group => group.params);
+}
+
+// Every rule removes every parameter, so a URL carrying several is cleaned in one redirect
+function createUrlCleaningRules(params, exceptions) {
+  const rules = [];
+  
+  for (let i = 0; i < params.length; i += PARAMS_PER_CLEANING_RULE) {
+    const names = params.slice(i, i + PARAMS_PER_CLEANING_RULE).map(escapeRegExp);
+    const condition = {
+      // Only URLs that carry a tracking parameter are redirected at all
+      regexFilter: `[?&](?:${names.join('|')})(?:=|&|$)`,
+      isUrlFilterCaseSensitive: true,
+      resourceTypes: URL_CLEANING_RESOURCE_TYPES
+    };
+    if (exceptions.length > 0) {
+      condition.excludedRequestDomains = exceptions;
+      condition.excludedInitiatorDomains = exceptions;
+    }
+    
+    rules.push({
+      priority: FilterParser.PRIORITY.URL_CLEANING,
+      action: {
+        type: 'redirect',
+        redirect: { transform: { queryTransform: { removeParams: params } } }
+      },
+      condition
+    });
+  }
+  
+  return rules;
+}
+
+async function applyUrlCleaning() {
+  const result = await chrome.storage.local.get(['urlCleaningEnabled', 'urlCleaningExceptions']);
+  const params = await loadTrackingParams();
+  
+  urlCleaningEnabled = result.urlCleaningEnabled !== false;
+  urlCleaningExceptions = result.urlCleaningExceptions || [];
+  trackingParams = new Set(params);
+  
+  await replaceDynamicRules('urlCleaning',
+    urlCleaningEnabled ? createUrlCleaningRules(params, urlCleaningExceptions) : []);
+}
+
+// Exceptions are hostnames and cover their subdomains, like DNR's domain conditions
+function normalizeCleaningException(input) {
+  const entry = normalizeAllowlistEntry(input);
+  return entry ? entry.replace(/^\*\./, '') : null;
+}
+
+async function saveUrlCleaningSettings(changes) {
+  await chrome.storage.local.set(changes);
+  await applyUrlCleaning();
+  return { enabled: urlCleaningEnabled, exceptions: urlCleaningExceptions };
+}
+
+function getTrackingParamNames(url) {
+  try {
+    const names = [...new URL(url).searchParams.keys()];
+    return [...new Set(names.filter(name => trackingParams.has(name)))];
+  } catch (e) {
+    return [];
+  }
+}
+
+// A cleaning redirect keeps the origin, path and every parameter that isn't a tracking one
+function isCleaningRedirect(url, redirectUrl) {
+  try {
+    const from = new URL(url);
+    const to = new URL(redirectUrl);
+    if (from.origin !== to.origin || from.pathname !== to.pathname) return false;
+    
+    const kept = [...from.searchParams.keys()].filter(name => !trackingParams.has(name));
+    return kept.join('&') === [...to.searchParams.keys()].join('&');
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============================================
+// PRIVACY HEADERS
+// ============================================
+// Referer trimming, tracker cookie stripping and Sec-GPC / DNT as dynamic
+// modifyHeaders rules (see lib/privacy_headers.js), one toggle each.
+// Referer trimming needs the page's origin, so it is a session rule per tab
+// instead, rewritten when a new page's response headers come in; the page's
+// first requests can go out before it is in place.
+const REFERER_RULE_BASE = 1000000;
+
+let privacyHeaderSettings = PrivacyHeaders.resolveSettings();
+// [{ protection, rule }] as installed, rule ids included
+let privacyHeaderRules = [];
+
+function refererRuleId(tabId) {
+  return REFERER_RULE_BASE + tabId;
+}
+
+function updateRefererRule(tabId, pageUrl, referrerPolicy) {
+  const rule = privacyHeaderSettings.trimReferer
+    ? PrivacyHeaders.createRefererRule(tabId, pageUrl, referrerPolicy)
+    : null;
+  const id = refererRuleId(tabId);
+  
+  return chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [id],
+    addRules: rule ? [{ ...rule, id }] : []
+  });
+}
+
+async function getRefererRules() {
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  return rules.filter(rule => rule.id >= REFERER_RULE_BASE);
+}
+
+// Pages loaded from now on get their rules when trimming is switched back on
+async function clearRefererRules() {
+  const removeRuleIds = (await getRefererRules()).map(rule => rule.id);
+  if (removeRuleIds.length > 0) {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds });
+  }
+}
+
+async function applyPrivacyHeaders() {
+  const result = await chrome.storage.local.get(['privacyHeaders']);
+  const taxonomy = await Taxonomy.load();
+  const settings = PrivacyHeaders.resolveSettings(result.privacyHeaders);
+  const tagged = PrivacyHeaders.createRules(settings, PrivacyHeaders.getTrackerDomains(taxonomy));
+  
+  await replaceDynamicRules('privacyHeaders', tagged.map(({ rule }) => rule));
+  
+  // replaceDynamicRules numbers the rules from the start of the range, in order
+  const { start } = DYNAMIC_RULE_RANGES.privacyHeaders;
+  privacyHeaderSettings = settings;
+  privacyHeaderRules = tagged.map(({ protection, rule }, i) => ({ protection, rule: { ...rule, id: start + i } }));
+  
+  if (!settings.trimReferer) {
+    await clearRefererRules();
+  }
+}
+
+async function setPrivacyHeaderEnabled(id, enabled) {
+  if (!PrivacyHeaders.PROTECTIONS.some(protection => protection.id === id)) {
+    throw new Error(`Unknown protection "${id}"`);
+  }
+  
+  await chrome.storage.local.set({ privacyHeaders: { ...privacyHeaderSettings, [id]: enabled } });
+  await applyPrivacyHeaders();
+}
+
+function getPrivacyHeaderSettings() {
+  return PrivacyHeaders.PROTECTIONS.map(({ id, label, description }) => ({
+    id,
+    label,
+    description,
+    enabled: privacyHeaderSettings[id]
+  }));
+}
+
+// How often each header rule fired on a tab; null where Chrome won't say
+async function getHeaderRuleMatchCounts(tabId) {
+  try {
+    const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({ tabId });
+    const counts = new Map();
+    for (const { rule } of rulesMatchedInfo) {
+      if (rule.rulesetId !== '_dynamic' && rule.rulesetId !== '_session') continue;
+      counts.set(rule.ruleId, (counts.get(rule.ruleId) || 0) + 1);
+    }
+    return counts;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Which header rules apply on a tab's site, for the details page
+async function getPrivacyHeadersForTab(tabId) {
+  const hostname = blockedUrlsByTab.get(tabId)?.domain || '';
+  const matchCounts = await getHeaderRuleMatchCounts(tabId);
+  const refererRule = (await getRefererRules()).find(rule => rule.id === refererRuleId(tabId));
+  const rules = refererRule
+    ? [...privacyHeaderRules, { protection: 'trimReferer', rule: refererRule }]
+    : privacyHeaderRules;
+  
+  return {
+    hostname,
+    // The power button and the allowlist outrank the header rules
+    paused: !blockingEnabled || isSiteAllowlisted(hostname),
+    protections: getPrivacyHeaderSettings().map(protection => ({
+      ...protection,
+      rules: rules
+        .filter(entry => entry.protection === protection.id)
+        .map(({ rule }) => ({
+          id: rule.id,
+          headers: PrivacyHeaders.describeRule(rule),
+          thirdPartyOnly: rule.condition.domainType === 'thirdParty',
+          matches: matchCounts ? matchCounts.get(rule.id) || 0 : null
+        }))
+    }))
+  };
+}
+
+// ============================================
+// BLOCKED PAGES
+// ============================================
+// Blocked top-level navigations are redirected to blocked/blocked.html
+// rather than ending on Chrome's error page. The redirect carries no
+// details, so what was blocked and by which rule is kept per tab in session
+// storage for the page to ask for. "Allow once" is a session rule scoped to
+// the tab and URL, removed as soon as that tab finishes loading a page.
+const INTERSTITIAL_URL = chrome.runtime.getURL(FilterParser.INTERSTITIAL_PATH);
+const ALLOW_ONCE_RULE_RANGE = { start: 1, end: 999 };
+
+// tabId -> pending session storage write, so the page never reads ahead of it
+const blockedNavigationWrites = new Map();
+
+function blockedNavigationKey(tabId) {
+  return `blockedNavigation:${tabId}`;
+}
+
+function isInterstitialUrl(url) {
+  return typeof url === 'string' && url.startsWith(INTERSTITIAL_URL);
+}
+
+// DNR redirected a navigation to the interstitial: count it like any other block
+function recordBlockedNavigation(details) {
+  const { tabId, url, requestId } = details;
+  
+  // The tab shows the interstitial, but the block belongs to the page it was headed for
+  blockedUrlsByTab.set(tabId, createTabData(FilterParser.hostnameFromUrl(url)));
+  scheduleStorageUpdate();
+  
+  const pending = pendingBlocks.get(requestId);
+  pendingBlocks.delete(requestId);
+  if (pending) {
+    recordBlockedRequest(pending.details, pending.matchResult);
+  } else {
+    settleEarlyRequest(requestId, BLOCKED_BY_CLIENT_ERROR);
+  }
+  
+  const write = filterListReady.then(() => {
+    const matchResult = pending?.matchResult || checkUrlBlocked(details) || {};
+    return chrome.storage.session.set({
+      [blockedNavigationKey(tabId)]: {
+        url,
+        rule: matchResult.rule || null,
+        listId: matchResult.listId || null,
+        line: matchResult.line || null,
+        category: categorizeBlock(url, matchResult),
+        timestamp: Date.now()
+      }
+    });
+  });
+  blockedNavigationWrites.set(tabId, write.catch((error) => {
+    console.error('Error saving blocked page:', error);
+  }));
+}
+
+async function getBlockedNavigation(tabId) {
+  await blockedNavigationWrites.get(tabId);
+  const key = blockedNavigationKey(tabId);
+  const result = await chrome.storage.session.get([key]);
+  return result[key] || null;
+}
+
+function clearBlockedNavigation(tabId) {
+  blockedNavigationWrites.delete(tabId);
+  return chrome.storage.session.remove(blockedNavigationKey(tabId));
+}
+
+// urlFilter can't escape its own wildcards, so URLs containing them need a regex
+function createAllowOnceCondition(tabId, url) {
+  const match = /[*^|]/.test(url)
+    ? { regexFilter: `^${escapeRegExp(url)}$` }
+    : { urlFilter: `|${url}|` };
+  
+  return { ...match, resourceTypes: ['main_frame'], tabIds: [tabId] };
+}
+
+async function getAllowOnceRules() {
+  const { start, end } = ALLOW_ONCE_RULE_RANGE;
+  const rules = await chrome.declarativeNetRequest.getSessionRules();
+  return rules.filter(rule => rule.id >= start && rule.id <= end);
+}
+
+async function allowNavigationOnce(tabId, url) {
+  const rules = await getAllowOnceRules();
+  const usedIds = new Set(rules.map(rule => rule.id));
+  
+  let id = ALLOW_ONCE_RULE_RANGE.start;
+  while (usedIds.has(id)) id++;
+  if (id > ALLOW_ONCE_RULE_RANGE.end) {
+    throw new Error('Too many pages allowed once; close some tabs and try again');
+  }
+  
+  await chrome.declarativeNetRequest.updateSessionRules({
+    addRules: [{
+      id,
+      priority: FilterParser.PRIORITY.ALLOW_ONCE,
+      action: { type: 'allow' },
+      condition: createAllowOnceCondition(tabId, url)
+    }]
+  });
+}
+
+async function clearAllowOnceRules(tabId) {
+  const rules = await getAllowOnceRules();
+  const removeRuleIds = rules
+    .filter(rule => rule.condition.tabIds?.includes(tabId))
+    .map(rule => rule.id);
+  
+  if (removeRuleIds.length > 0) {
+    await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds });
+  }
+}
+
+// "Always allow" puts the blocked page's hostname on the allowlist
+function allowBlockedSite(url) {
+  const hostname = normalizeAllowlistEntry(FilterParser.hostnameFromUrl(url));
+  if (!hostname) {
+    return Promise.reject(new Error('This page has no hostname to allow'));
+  }
+  
+  return saveAllowlist([...new Set([...siteAllowlist, hostname])]).then(() => hostname);
+}
+
+// ============================================
+// COSMETIC FILTERING
+// ============================================
+function getCosmeticSelectorsForFrame(frameUrl, tabUrl, enabled) {
+  if (!enabled || !frameUrl) return [];
+  
+  if (isSiteAllowlisted(FilterParser.hostnameFromUrl(tabUrl || frameUrl))) {
+    return [];
+  }
+  
+  if (filterMatcher.findPageException(frameUrl, 'elemhide')) {
+    return [];
+  }
+  
+  const includeGeneric = !filterMatcher.findPageException(frameUrl, 'generichide');
+  return cosmeticIndex.getSelectors(FilterParser.hostnameFromUrl(frameUrl), { includeGeneric });
+}
+
+// ============================================
+// URL SHORTENING
+// ============================================
+const urlShortener = (() => {
+  const cache = new Map();
+  const MAX_CACHE = 500;
+  
+  return (url, maxLength = 100) => {
+    if (cache.has(url)) return cache.get(url);
+    
+    let shortened;
+    if (url.length <= maxLength) {
+      shortened = url;
+    } else {
+      const halfLength = Math.floor((maxLength - 3) / 2);
+      shortened = url.substring(0, halfLength) + '...' + url.substring(url.length - halfLength);
+    }
+    
+    if (cache.size >= MAX_CACHE) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+    
+    cache.set(url, shortened);
+    return shortened;
+  };
+})();
+
+// ============================================
+// TAB DATA
+// ============================================
+function createTabData(domain = '') {
+  return {
+    domain,
+    urls: [],
+    totalCount: 0,
+    // Taxonomy category id -> blocked requests
+    categoryCounts: {},
+    hiddenCount: 0,
+    hiddenByFrame: {}
+  };
+}
+
+// ============================================
+// FIXED: PROPER STORAGE SYNC
+// ============================================
+function saveBlockedUrlsToStorage() {
+  const dataToStore = {};
+  
+  blockedUrlsByTab.forEach((tabData, tabId) => {
+    dataToStore[tabId] = tabData;
+  });
+  
+  storageReady.then(() => chrome.storage.local.set({ blockedUrlsByTab: dataToStore }));
+}
+
+function scheduleStorageUpdate() {
+  if (storageUpdateTimer) {
+    clearTimeout(storageUpdateTimer);
+  }
+  
+  storageUpdateTimer = setTimeout(() => {
+    saveBlockedUrlsToStorage();
+    storageUpdateTimer = null;
+  }, STORAGE_BATCH_DELAY);
+}
+
+// ============================================
+// BADGE UPDATES
+// ============================================
+function updateBadgeForTab(tabId) {
+  if (badgeUpdateTimers.has(tabId)) {
+    clearTimeout(badgeUpdateTimers.get(tabId));
+  }
+  
+  const timer = setTimeout(() => {
+    storageReady.then(() => chrome.storage.local.get(['showBadge', 'adBlockerEnabled', 'blockingPause', 'sitePauses'], (result) => {
+      const showBadge = result.showBadge !== false;
+      const enabled = result.adBlockerEnabled !== false;
+      
+      const iconPath = enabled ? 'icons/tempIcon.png' : 'icons/tempIcon_grey.png';
+      chrome.action.setIcon({ path: iconPath, tabId });
+      
+      // A pause that will end by itself is flagged so it isn't forgotten about
+      const domain = blockedUrlsByTab.get(tabId)?.domain;
+      const paused = enabled ? !!(domain && result.sitePauses?.[domain]) : !!result.blockingPause;
+      if (paused) {
+        chrome.action.setBadgeText({ text: PAUSE_BADGE_TEXT, tabId });
+        chrome.action.setBadgeBackgroundColor({ color: PAUSE_BADGE_COLOR, tabId });
+        return;
+      }
+      
+      if (!enabled || !showBadge) {
+        chrome.action.setBadgeText({ text: '', tabId });
+        return;
+      }
+      
+      if (blockedUrlsByTab.has(tabId)) {
+        const count = blockedUrlsByTab.get(tabId).totalCount || 0;
+        
+        if (count > 0) {
+          const badgeText = count >= 1000000 ? (count / 1000000).toFixed(1) + 'M' :
+                            count >= 1000 ? (count / 1000).toFixed(1) + 'K' :
+                            count.toString();
+          chrome.action.setBadgeText({ text: badgeText, tabId });
+          chrome.action.setBadgeBackgroundColor({ color: '#f44336', tabId });
+        } else {
+          chrome.action.setBadgeText({ text: '', tabId });
+        }
+      } else {
+        chrome.action.setBadgeText({ text: '', tabId });
+      }
+    }));
+    
+    badgeUpdateTimers.delete(tabId);
+  }, BADGE_UPDATE_DELAY);
+  
+  badgeUpdateTimers.set(tabId, timer);
+}
+
+function updateAllBadges() {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => updateBadgeForTab(tab.id));
+  });
+}
+
+// ============================================
+// XP/COINS UPDATES
+// ============================================
+let xpCoinsUpdateTimer = null;
+let pendingXPCoins = { xp: 0, coins: 0 };
+
+function awardXPAndCoins() {
+  pendingXPCoins.xp += XP_PER_AD;
+  pendingXPCoins.coins += COINS_PER_AD;
+  
+  if (xpCoinsUpdateTimer) {
+    return;
+  }
+  
+  xpCoinsUpdateTimer = setTimeout(() => {
+    const { xp, coins } = pendingXPCoins;
+    
+    storageReady.then(() => chrome.storage.local.get(['userXP', 'userCoins'], (result) => {
+      chrome.storage.local.set({
+        userXP: (result.userXP || 0) + xp,
+        userCoins: (result.userCoins || 0) + coins
+      });
+    }));
+    
+    pendingXPCoins = { xp: 0, coins: 0 };
+    xpCoinsUpdateTimer = null;
+  }, 1000);
+}
+
+// ============================================
+// SAVINGS MODEL
+// ============================================
+// Response sizes and timings of requests that went through, which price the
+// ones that were blocked (see lib/savings_model.js). Kept in memory and
+// written back every few seconds.
+const requestStarts = new Map();
+const MAX_REQUEST_STARTS = 2000;
+const SAVINGS_SAVE_DELAY = 5000;
+
+let savingsSamples = SavingsModel.createSamples();
+let savingsSamplesLoaded = false;
+let savingsSaveTimer = null;
+
+function noteRequestStart(details) {
+  if (requestStarts.size >= MAX_REQUEST_STARTS) {
+    requestStarts.delete(requestStarts.keys().next().value);
+  }
+  requestStarts.set(details.requestId, details.timeStamp);
+}
+
+function getContentLength(responseHeaders = []) {
+  const header = responseHeaders.find(({ name }) => name.toLowerCase() === 'content-length');
+  const bytes = header ? parseInt(header.value, 10) : NaN;
+  return Number.isFinite(bytes) && bytes >= 0 ? bytes : null;
+}
+
+function observeResponse(details) {
+  const start = requestStarts.get(details.requestId);
+  requestStarts.delete(details.requestId);
+  
+  // A cached response cost nothing, so it says nothing about what a block saves
+  const bytes = getContentLength(details.responseHeaders);
+  if (details.fromCache || bytes === null) return;
+  
+  savingsSamples = SavingsModel.observe(savingsSamples, {
+    host: FilterParser.hostnameFromUrl(details.url),
+    type: details.type,
+    bytes,
+    ms: start ? details.timeStamp - start : null,
+    now: Date.now()
+  });
+  scheduleSavingsSave();
+}
+
+function scheduleSavingsSave() {
+  // Writing before the stored samples are read would throw them away
+  if (savingsSaveTimer || !savingsSamplesLoaded) return;
+  
+  savingsSaveTimer = setTimeout(() => {
+    savingsSaveTimer = null;
+    chrome.storage.local.set({ savingsSamples });
+  }, SAVINGS_SAVE_DELAY);
+}
+
+function estimateSavings(details) {
+  return SavingsModel.estimate(savingsSamples, FilterParser.hostnameFromUrl(details.url), details.type);
+}
+
+// ============================================
+// STATS HISTORY
+// ============================================
+// Blocks are folded into the daily and hourly buckets and the per-site and
+// per-tracker totals in batches, like XP
+let pendingHistoryEvents = [];
+let historyUpdateTimer = null;
+
+function addHistoryEvent(event) {
+  pendingHistoryEvents.push({ time: Date.now(), ...event });
+  
+  if (historyUpdateTimer) {
+    return;
+  }
+  
+  historyUpdateTimer = setTimeout(() => {
+    const events = pendingHistoryEvents;
+    
+    storageReady.then(() => chrome.storage.local.get(['statsHistory', 'siteStats'], (result) => {
+      chrome.storage.local.set({
+        statsHistory: StatsHistory.addEvents(result.statsHistory, events),
+        siteStats: SiteStats.addEvents(result.siteStats, events)
+      });
+    }));
+    
+    pendingHistoryEvents = [];
+    historyUpdateTimer = null;
+  }, STORAGE_BATCH_DELAY);
+}
+
+// ============================================
+// BACKUP
+// ============================================
+// Settings > Backup saves the user's keys to a file and reads them back (see
+// lib/backup.js). A restore goes through the same functions the settings
+// page uses, so the dynamic rules, badges and subscriptions follow the data.
+
+// Download state is left out; the browser that restores the list fetches it again
+function toBackupSubscription({ id, url, title, builtin, enabled }) {
+  return { id, url, title, builtin, enabled };
+}
+
+async function collectBackupData() {
+  const [data, pauses, subscriptions] = await Promise.all([
+    chrome.storage.local.get(Backup.BACKUP_KEYS),
+    getPauses(),
+    Subscriptions.getSubscriptions()
+  ]);
+
+  // Pauses end by themselves, so the backup holds what they go back to
+  if (pauses.blockingPause) {
+    data.adBlockerEnabled = true;
+  }
+  if (data.allowlist) {
+    data.allowlist = data.allowlist.filter(entry => !ownsAllowlistEntry(pauses.sitePauses[entry]));
+  }
+  data.subscriptions = subscriptions.map(toBackupSubscription);
+
+  return data;
+}
+
+function exportBackup() {
+  // Storage has been migrated by the time anything can ask for a backup
+  return collectBackupData().then(data => Backup.createBackup(data, {
+    schemaVersion: Migrations.LATEST_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version
+  }));
+}
+
+// The backup's data, checked and migrated from the schema it was written in
+// so that old files are compared and imported in today's shape
+async function readBackup(backup) {
+  await Backup.validateBackup(backup, { schemaVersion: Migrations.LATEST_VERSION });
+  return Migrations.migrateData(backup.data, backup.schemaVersion || 0);
+}
+
+async function previewBackup(backup) {
+  const incoming = await readBackup(backup);
+  return Backup.diffBackup(await collectBackupData(), incoming);
+}
+
+function isListUrl(url) {
+  try {
+    return ['https:', 'http:'].includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Make the stored subscriptions match a restored list: known lists keep their
+ * downloads and only take the backup's on/off state, user lists the backup
+ * doesn't have are removed. Returns the lists that still need downloading.
+ */
+async function restoreSubscriptions(entries) {
+  const current = await Subscriptions.getSubscriptions();
+  const restored = [];
+
+  for (const entry of entries) {
+    const existing = current.find(sub => sub.id === entry.id || sub.url === entry.url);
+    if (restored.some(sub => sub.id === (existing || entry).id)) continue;
+
+    if (existing) {
+      restored.push({ ...existing, enabled: entry.enabled !== false });
+    } else if (!entry.builtin && isListUrl(entry.url)) {
+      const { id, url, title, enabled } = entry;
+      restored.push(Subscriptions.createSubscription({ id, url, title, enabled }));
+    }
+  }
+
+  const removed = current.filter(sub => !sub.builtin && !restored.some(entry => entry.id === sub.id));
+  await Subscriptions.saveSubscriptions(restored);
+
+  for (const subscription of removed) {
+    await Subscriptions.removeSubscriptionContent(subscription.id);
+    await SnapshotStore.deleteCachedSnapshot(subscription.id).catch(() => {});
+    await chrome.alarms.clear(Subscriptions.SUBSCRIPTION_ALARM_PREFIX + subscription.id);
+  }
+  await scheduleAllSubscriptions();
+
+  return restored.filter(sub => !current.some(existing => existing.id === sub.id));
+}
+
+function uniqueEntries(entries, normalize) {
+  return [...new Set(entries.map(normalize).filter(Boolean))];
+}
+
+// Resolves to the keys that were written
+async function importBackup(backup, mode) {
+  if (!Object.values(Backup.MODES).includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}"`);
+  }
+  const incoming = await readBackup(backup);
+
+  const data = Backup.combine(await collectBackupData(), incoming, mode);
+  const { allowlist, customFilters, subscriptions, adBlockerEnabled, ...values } = data;
+
+  if (values.urlCleaningExceptions) {
+    values.urlCleaningExceptions = uniqueEntries(values.urlCleaningExceptions, normalizeCleaningException);
+  }
+  await chrome.storage.local.set(values);
+
+  if (allowlist) {
+    await saveAllowlist(uniqueEntries(allowlist, normalizeAllowlistEntry));
+  }
+
+  const added = subscriptions ? await runSubscriptionTask(() => restoreSubscriptions(subscriptions)) : [];
+  await reloadFilterLists({
+    customFilters: customFilters ? sanitizeCustomFilters(customFilters) : null,
+    syncRules: true
+  });
+  added.forEach(sub => runSubscriptionTask(() => updateSubscription(sub.id)));
+
+  await applyUrlCleaning();
+  await applyPrivacyHeaders();
+
+  if (adBlockerEnabled !== undefined) {
+    await clearBlockingPause();
+    await setBlockingEnabled(adBlockerEnabled);
+  }
+  updateAllBadges();
+
+  return Object.keys(data);
+}
+
+// ============================================
+// BLOCK RECORDING
+// ============================================
+// DNR does the blocking; the matcher only predicts it. A prediction becomes a
+// counted block once Chrome reports the request was stopped by a client rule,
+// so requests that actually went through are never credited.
+const pendingBlocks = new Map();
+const MAX_PENDING_BLOCKS = 1000;
+const BLOCKED_BY_CLIENT_ERROR = 'net::ERR_BLOCKED_BY_CLIENT';
+
+function addPendingBlock(details, matchResult) {
+  if (pendingBlocks.size >= MAX_PENDING_BLOCKS) {
+    pendingBlocks.delete(pendingBlocks.keys().next().value);
+  }
+  pendingBlocks.set(details.requestId, { details, matchResult });
+}
+
+// Filters the taxonomy couldn't place when they were loaded are categorized by the request itself
+function categorizeBlock(url, matchResult) {
+  return categoryTaxonomy.resolve(matchResult.category || categoryTaxonomy.categorizeUrl(url));
+}
+
+// Log one request against its tab and count it under its category; returns the tab data
+function addTabLogEntry(tabId, url, category, extra) {
+  // Initialize tab data if needed
+  if (!blockedUrlsByTab.has(tabId)) {
+    blockedUrlsByTab.set(tabId, createTabData());
+  }
+  
+  const tabData = blockedUrlsByTab.get(tabId);
+  
+  // Add to URL list (capped at MAX_STORED_PER_TAB)
+  if (tabData.urls.length < MAX_STORED_PER_TAB) {
+    tabData.urls.unshift({ 
+      url: urlShortener(url, 100), 
+      fullUrl: url, 
+      timestamp: Date.now(),
+      category,
+      ...extra
+    });
+  }
+  
+  // ALWAYS increment category counts, even once the list is full
+  tabData.categoryCounts = tabData.categoryCounts || {};
+  tabData.categoryCounts[category] = (tabData.categoryCounts[category] || 0) + 1;
+  
+  // Save to storage
+  scheduleStorageUpdate();
+  return tabData;
+}
+
+function recordBlockedRequest(details, matchResult) {
+  const { url, tabId } = details;
+  const category = categorizeBlock(url, matchResult);
+  
+  const entity = entityMap?.entityForUrl(url) || null;
+  const saved = estimateSavings(details);
+  
+  const tabData = addTabLogEntry(tabId, url, category, {
+    entity,
+    saved,
+    rule: matchResult.rule || null,
+    pattern: matchResult.pattern || null,
+    important: !!matchResult.important,
+    listId: matchResult.listId || null,
+    line: matchResult.line || null
+  });
+  tabData.totalCount++;
+  
+  addHistoryEvent({
+    category,
+    site: tabData.domain || getSiteHostname(details),
+    url,
+    entity,
+    blocked: true,
+    timeSaved: saved.seconds,
+    dataSaved: saved.kb
+  });
+  
+  // Update global total and statistics - SIMPLIFIED
+  storageReady.then(() => chrome.storage.local.get([
+    'totalBlockedAllTime',
+    'categoryTotals',
+    'totalTimeSaved',
+    'totalDataSaved',
+    'savingsBasis'
+  ], (result) => {
+    const newTotal = (result.totalBlockedAllTime || 0) + 1;
+    const categoryTotals = result.categoryTotals || {};
+    categoryTotals[category] = (categoryTotals[category] || 0) + 1;
+    const currentTimeSaved = result.totalTimeSaved || 0;
+    const currentDataSaved = result.totalDataSaved || 0;
+    
+    // How each block was priced, for the explanation in the popup
+    const savingsBasis = result.savingsBasis || {};
+    savingsBasis[saved.basis] = (savingsBasis[saved.basis] || 0) + 1;
+    
+    // Add the increments
+    const newTimeSaved = currentTimeSaved + saved.seconds;
+    const newDataSaved = currentDataSaved + saved.kb;
+    
+    chrome.storage.local.set({ 
+      totalBlockedAllTime: newTotal,
+      categoryTotals,
+      totalTimeSaved: newTimeSaved,
+      totalDataSaved: newDataSaved,
+      savingsBasis
+    });
+  }));
+  
+  awardXPAndCoins();
+  updateBadgeForTab(tabId);
 }
 
-// ============================================
-// BADGE UPDATES
-// ============================================
-function updateBadgeForTab(tabId) {
-  if (badgeUpdateTimers.has(tabId)) {
-    clearTimeout(badgeUpdateTimers.get(tabId));
+// Cleaned URLs earn XP and count under their own category, but aren't blocks
+function recordCleanedUrl(details, removedParams) {
+  const { url, tabId, type } = details;
+  
+  // A cleaned navigation belongs to the page it leads to, which the tab hasn't reached yet
+  if (type === 'main_frame') {
+    const domain = FilterParser.hostnameFromUrl(url);
+    if (blockedUrlsByTab.get(tabId)?.domain !== domain) {
+      blockedUrlsByTab.set(tabId, createTabData(domain));
+    }
   }
   
-  const timer = setTimeout(() => {
-    chrome.storage.local.get(['showBadge', 'adBlockerEnabled'], (result) => {
-      const showBadge = result.showBadge !== false;
-      const enabled = result.adBlockerEnabled !== false;
-      
-      const iconPath = enabled ? 'icons/tempIcon.png' : 'icons/tempIcon_grey.png';
-      chrome.action.setIcon({ path: iconPath, tabId });
-      
-      if (!enabled || !showBadge) {
-        chrome.action.setBadgeText({ text: '', tabId });
-        return;
-      }
-      
-      if (blockedUrlsByTab.has(tabId)) {
-        const count = blockedUrlsByTab.get(tabId).totalCount || 0;
-        
-        if (count > 0) {
-          const badgeText = count >= 1000000 ? (count / 1000000).toFixed(1) + 'M' :
-                            count >= 1000 ? (count / 1000).toFixed(1) + 'K' :
-                            count.toString();
-          chrome.action.setBadgeText({ text: badgeText, tabId });
-          chrome.action.setBadgeBackgroundColor({ color: '#f44336', tabId });
-        } else {
-          chrome.action.setBadgeText({ text: '', tabId });
-        }
-      } else {
-        chrome.action.setBadgeText({ text: '', tabId });
-      }
-    });
-    
-    badgeUpdateTimers.delete(tabId);
-  }, BADGE_UPDATE_DELAY);
+  addTabLogEntry(tabId, url, CLEANED_URL_CATEGORY, { removedParams });
+  addHistoryEvent({ category: CLEANED_URL_CATEGORY, blocked: false });
   
-  badgeUpdateTimers.set(tabId, timer);
+  storageReady.then(() => chrome.storage.local.get(['categoryTotals'], (result) => {
+    const categoryTotals = result.categoryTotals || {};
+    categoryTotals[CLEANED_URL_CATEGORY] = (categoryTotals[CLEANED_URL_CATEGORY] || 0) + 1;
+    chrome.storage.local.set({ categoryTotals });
+  }));
+  
+  awardXPAndCoins();
 }
 
 // ============================================
-// XP/COINS UPDATES
+// EARLY REQUESTS
 // ============================================
-let xpCoinsUpdateTimer = null;
-let pendingXPCoins = { xp: 0, coins: 0 };
+// DNR blocks from the moment the worker starts, but the matcher takes a moment
+// to load. Requests seen before it is ready are parked here together with what
+// webRequest later reports about them, and judged once it is swapped in.
+const earlyRequests = new Map();
+const MAX_EARLY_REQUESTS = 500;
+let matcherReady = false;
 
-function awardXPAndCoins() {
-  pendingXPCoins.xp += XP_PER_AD;
-  pendingXPCoins.coins += COINS_PER_AD;
+function parkEarlyRequest(details) {
+  if (earlyRequests.size >= MAX_EARLY_REQUESTS) {
+    earlyRequests.delete(earlyRequests.keys().next().value);
+  }
+  earlyRequests.set(details.requestId, { details, blockedByClient: false });
+}
+
+// True when the request was parked; failures other than a DNR block just drop it
+function settleEarlyRequest(requestId, error) {
+  const early = earlyRequests.get(requestId);
+  if (!early) return false;
   
-  if (xpCoinsUpdateTimer) {
-    return;
+  if (error === BLOCKED_BY_CLIENT_ERROR) {
+    early.blockedByClient = true;
+  } else {
+    earlyRequests.delete(requestId);
   }
+  return true;
+}
+
+// Blocks that already happened are credited now; the rest wait for webRequest like any other
+function evaluateEarlyRequests() {
+  matcherReady = true;
   
-  xpCoinsUpdateTimer = setTimeout(() => {
-    const { xp, coins } = pendingXPCoins;
-    
-    chrome.storage.local.get(['userXP', 'userCoins'], (result) => {
-      chrome.storage.local.set({
-        userXP: (result.userXP || 0) + xp,
-        userCoins: (result.userCoins || 0) + coins
-      });
-    });
+  earlyRequests.forEach(({ details, blockedByClient }) => {
+    const matchResult = checkUrlBlocked(details);
+    if (!matchResult?.matched) return;
     
-    pendingXPCoins = { xp: 0, coins: 0 };
-    xpCoinsUpdateTimer = null;
-  }, 1000);
+    if (blockedByClient) {
+      recordBlockedRequest(details, matchResult);
+    } else {
+      addPendingBlock(details, matchResult);
+    }
+  });
+  
+  earlyRequests.clear();
 }
 
 // ============================================
-// WEB REQUEST HANDLER - FIXED
+// WEB REQUEST HANDLERS
 // ============================================
+// Matching runs synchronously: a blocked request can fail before an async
+// storage read would have returned.
 chrome.webRequest.onBeforeRequest.addListener(
   (details) => {
-    const { url, tabId } = details;
+    if (details.tabId < 0) return;
+    noteRequestStart(details);
     
-    if (tabId < 0) return;
+    if (!blockingEnabled) return;
     
-    chrome.storage.local.get(['adBlockerEnabled'], (result) => {
-      if (result.adBlockerEnabled === false) return;
-      
-      if (!streakCheckedToday) {
-        checkAndUpdateStreak();
-        streakCheckedToday = true;
-      }
-      
-      const matchResult = checkUrlBlocked(url);
-      
-      if (matchResult?.matched) {
-        const timestamp = Date.now();
-        const shortenedUrl = urlShortener(url, 100);
-        const category = matchResult.category || 'Ad';
-        
-        // Initialize tab data if needed
-        if (!blockedUrlsByTab.has(tabId)) {
-          blockedUrlsByTab.set(tabId, {
-            domain: '',
-            urls: [],
-            totalCount: 0,
-            adCount: 0,
-            trackerCount: 0
-          });
-        }
-        
-        const tabData = blockedUrlsByTab.get(tabId);
-        
-        // Add to URL list (capped at MAX_STORED_PER_TAB)
-        if (tabData.urls.length < MAX_STORED_PER_TAB) {
-          tabData.urls.unshift({ 
-            url: shortenedUrl, 
-            fullUrl: url, 
-            timestamp,
-            category
-          });
-        }
-        
-        // ALWAYS increment total count and category counts
-        tabData.totalCount++;
-        if (category === 'Tracker') {
-          tabData.trackerCount = (tabData.trackerCount || 0) + 1;
-        } else {
-          tabData.adCount = (tabData.adCount || 0) + 1;
-        }
-        
-        // Save to storage
-        scheduleStorageUpdate();
-        
-        // Update global total and statistics - SIMPLIFIED
-        chrome.storage.local.get([
-          'totalBlockedAllTime',
-          'totalTimeSaved',
-          'totalDataSaved'
-        ], (result) => {
-          const newTotal = (result.totalBlockedAllTime || 0) + 1;
-          const currentTimeSaved = result.totalTimeSaved || 0;
-          const currentDataSaved = result.totalDataSaved || 0;
-          
-          // Add the increments
-          const newTimeSaved = currentTimeSaved + AVG_TIME_PER_AD;
-          const newDataSaved = currentDataSaved + AVG_DATA_PER_AD;
-          
-          console.log('Time saved update:', currentTimeSaved, '+', AVG_TIME_PER_AD, '=', newTimeSaved);
-          
-          chrome.storage.local.set({ 
-            totalBlockedAllTime: newTotal,
-            totalTimeSaved: newTimeSaved,
-            totalDataSaved: newDataSaved
-          });
-        });
-        
-        awardXPAndCoins();
-        updateBadgeForTab(tabId);
-      }
-    });
+    // Paused sites earn no streak, XP or counts
+    if (isSiteAllowlisted(getSiteHostname(details))) return;
+    
+    if (!streakCheckedToday) {
+      checkAndUpdateStreak();
+      streakCheckedToday = true;
+    }
+    
+    if (!matcherReady) {
+      parkEarlyRequest(details);
+      return;
+    }
+    
+    const matchResult = checkUrlBlocked(details);
+    
+    if (matchResult?.matched) {
+      addPendingBlock(details, matchResult);
+    }
+  },
+  { urls: ["<all_urls>"] }
+);
+
+chrome.webRequest.onErrorOccurred.addListener(
+  (details) => {
+    requestStarts.delete(details.requestId);
+    if (settleEarlyRequest(details.requestId, details.error)) return;
+    
+    const pending = pendingBlocks.get(details.requestId);
+    if (!pending) return;
+    
+    pendingBlocks.delete(details.requestId);
+    if (details.error === BLOCKED_BY_CLIENT_ERROR) {
+      recordBlockedRequest(pending.details, pending.matchResult);
+    }
+  },
+  { urls: ["<all_urls>"] }
+);
+
+// Redirects to the interstitial are blocked pages; ones that only dropped
+// tracking parameters are our cleaning rules at work
+chrome.webRequest.onBeforeRedirect.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+    
+    if (details.type === 'main_frame' && isInterstitialUrl(details.redirectUrl)) {
+      recordBlockedNavigation(details);
+      return;
+    }
+    
+    if (!urlCleaningEnabled) return;
+    
+    const removedParams = getTrackingParamNames(details.url);
+    if (removedParams.length > 0 && isCleaningRedirect(details.url, details.redirectUrl)) {
+      recordCleanedUrl(details, removedParams);
+    }
+  },
+  { urls: ["<all_urls>"] }
+);
+
+// The request went through, so the prediction was wrong (rule over the static limit, etc.)
+chrome.webRequest.onCompleted.addListener(
+  (details) => {
+    settleEarlyRequest(details.requestId, null);
+    pendingBlocks.delete(details.requestId);
+    
+    // An "allow once" rule is spent when its tab finishes loading a page
+    if (details.type === 'main_frame' && details.tabId >= 0) {
+      clearAllowOnceRules(details.tabId).catch((error) => {
+        console.error('Error clearing allow-once rules:', error);
+      });
+    }
   },
   { urls: ["<all_urls>"] }
 );
 
+// A page's response headers give the origin and referrer policy its Referer rule is built from
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+    
+    const referrerPolicy = (details.responseHeaders || [])
+      .filter(({ name }) => name.toLowerCase() === 'referrer-policy')
+      .map(({ value }) => value)
+      .join(',');
+    updateRefererRule(details.tabId, details.url, referrerPolicy)
+      .catch(error => console.error('Error updating Referer rule:', error));
+  },
+  { urls: ["<all_urls>"], types: ['main_frame'] },
+  ['responseHeaders']
+);
+
+// Allowed responses feed the savings model
+chrome.webRequest.onCompleted.addListener(
+  observeResponse,
+  { urls: ["<all_urls>"] },
+  ['responseHeaders']
+);
+
 // ============================================
 // TAB EVENT HANDLERS
 // ============================================
 chrome.tabs.onRemoved.addListener((tabId) => {
   blockedUrlsByTab.delete(tabId);
   scheduleStorageUpdate();
+  clearBlockedNavigation(tabId);
+  clearAllowOnceRules(tabId).catch(() => {});
+  chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [refererRuleId(tabId)] }).catch(() => {});
   
   if (badgeUpdateTimers.has(tabId)) {
     clearTimeout(badgeUpdateTimers.get(tabId));
@@ -459,7 +2009,8 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.url) {
+  // The interstitial keeps the tab data of the page it stands in for
+  if (changeInfo.url && !isInterstitialUrl(changeInfo.url)) {
     try {
       const newUrl = new URL(changeInfo.url);
       const newDomain = newUrl.hostname;
@@ -468,24 +2019,12 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         const tabData = blockedUrlsByTab.get(tabId);
         
         if (tabData.domain !== newDomain) {
-          blockedUrlsByTab.set(tabId, {
-            domain: newDomain,
-            urls: [],
-            totalCount: 0,
-            adCount: 0,
-            trackerCount: 0
-          });
+          blockedUrlsByTab.set(tabId, createTabData(newDomain));
           scheduleStorageUpdate();
           updateBadgeForTab(tabId);
         }
       } else {
-        blockedUrlsByTab.set(tabId, {
-          domain: newDomain,
-          urls: [],
-          totalCount: 0,
-          adCount: 0,
-          trackerCount: 0
-        });
+        blockedUrlsByTab.set(tabId, createTabData(newDomain));
       }
     } catch (e) {
       chrome.action.setBadgeText({ text: '', tabId });
@@ -505,56 +2044,40 @@ chrome.runtime.onInstalled.addListener(() => {
     displayActionCountAsBadgeText: false
   });
   
-  chrome.storage.local.get([
-    'totalBlockedAllTime',
-    'totalTimeSaved',
-    'totalDataSaved',
-    'showBadge',
-    'userXP',
-    'userCoins',
-    'userLevel',
-    'ownedAvatars',
-    'equippedAvatar',
-    'adBlockerEnabled',
-    'dailyStreak',
-    'lastActiveDate'
-  ], (result) => {
-    const totalBlocked = result.totalBlockedAllTime || 0;
-    const enabled = result.adBlockerEnabled !== false;
-    
-    chrome.storage.local.set({ 
-      blockedUrlsByTab: {},
-      totalBlockedAllTime: totalBlocked,
-      totalTimeSaved: result.totalTimeSaved !== undefined ? result.totalTimeSaved : (totalBlocked * AVG_TIME_PER_AD),
-      totalDataSaved: result.totalDataSaved !== undefined ? result.totalDataSaved : Math.round(totalBlocked * AVG_DATA_PER_AD),
-      showBadge: result.showBadge !== false,
-      userXP: result.userXP !== undefined ? result.userXP : totalBlocked * XP_PER_AD,
-      userCoins: result.userCoins !== undefined ? result.userCoins : totalBlocked * COINS_PER_AD,
-      userLevel: result.userLevel || 1,
-      ownedAvatars: result.ownedAvatars || ['avatar_default'],
-      equippedAvatar: result.equippedAvatar || '👤',
-      adBlockerEnabled: enabled,
-      dailyStreak: result.dailyStreak || 0,
-      lastActiveDate: result.lastActiveDate || ''
-    });
+  // Missing keys are filled in by the storage migrations, which run first
+  storageReady.then(() => {
+    chrome.storage.local.set({ blockedUrlsByTab: {} });
     
-    const iconPath = enabled ? 'icons/tempIcon.png' : 'icons/tempIcon_grey.png';
-    chrome.tabs.query({}, (tabs) => {
-      tabs.forEach(tab => {
-        chrome.action.setIcon({ path: iconPath, tabId: tab.id });
+    chrome.storage.local.get(['adBlockerEnabled'], (result) => {
+      const enabled = result.adBlockerEnabled !== false;
+      const iconPath = enabled ? 'icons/tempIcon.png' : 'icons/tempIcon_grey.png';
+      chrome.tabs.query({}, (tabs) => {
+        tabs.forEach(tab => {
+          chrome.action.setIcon({ path: iconPath, tabId: tab.id });
+        });
       });
+      
+      applyBlockingState(enabled);
     });
+    
+    // Dynamic rules survive updates; re-sync them with storage in case they drifted
+    loadAllowlist().then(entries => replaceDynamicRules('allowlist', entries.map(createAllowlistRule)));
   });
   
-  loadFilterList();
+  reloadFilterLists({ syncRules: true });
+  runSubscriptionTask(scheduleAllSubscriptions);
 });
 
 chrome.runtime.onStartup.addListener(() => {
-  loadFilterList();
+  // The filter lists themselves are loaded by the initial load at the bottom of this file
+  runSubscriptionTask(scheduleAllSubscriptions);
   streakCheckedToday = false;
+  storageReady
+    .then(() => restorePauses({ browserRestarted: true }))
+    .catch(error => console.error('Error restoring pauses:', error));
   
   // Load blocked URLs from storage into Map
-  chrome.storage.local.get(['blockedUrlsByTab'], (result) => {
+  storageReady.then(() => chrome.storage.local.get(['blockedUrlsByTab'])).then((result) => {
     const stored = result.blockedUrlsByTab || {};
     
     blockedUrlsByTab.clear();
@@ -576,7 +2099,8 @@ setInterval(() => {
 // ============================================
 // MESSAGE HANDLERS - FIXED
 // ============================================
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+// Returns true when sendResponse will be called
+function handleMessage(request, sender, sendResponse) {
   if (request.action === 'getBlockedUrlsForTab') {
     const tabId = request.tabId;
     const tabData = blockedUrlsByTab.get(tabId);
@@ -591,16 +2115,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         blockedUrls: urls,
         domain: tabData.domain,
         totalCount: tabData.totalCount || 0,
-        adCount: tabData.adCount || 0,
-        trackerCount: tabData.trackerCount || 0
+        categoryCounts: tabData.categoryCounts || {},
+        hiddenCount: tabData.hiddenCount || 0
       });
     } else {
       sendResponse({ 
         blockedUrls: [],
         domain: '',
         totalCount: 0,
-        adCount: 0,
-        trackerCount: 0
+        categoryCounts: {},
+        hiddenCount: 0
       });
     }
     return true;
@@ -625,22 +2149,24 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
     
   } else if (request.action === 'toggleAdBlocker') {
-    const enabled = request.enabled;
-    const iconPath = enabled ? 'icons/tempIcon.png' : 'icons/tempIcon_grey.png';
+    // The power button overrides a timed pause either way
+    clearBlockingPause()
+      .then(() => setBlockingEnabled(request.enabled))
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
     
-    chrome.storage.local.set({ adBlockerEnabled: enabled }, () => {
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => {
-          chrome.action.setIcon({ path: iconPath, tabId: tab.id });
-          if (enabled) {
-            updateBadgeForTab(tab.id);
-          } else {
-            chrome.action.setBadgeText({ text: '', tabId: tab.id });
-          }
-        });
-      });
-      sendResponse({ success: true });
-    });
+  } else if (request.action === 'pauseBlocking') {
+    // minutes is null for "until the browser restarts"
+    pauseBlocking(request.minutes)
+      .then((pause) => sendResponse({ success: true, pause }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'pauseSite') {
+    pauseSite(request.hostname, request.minutes)
+      .then((pause) => sendResponse({ success: true, pause }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
     return true;
     
   } else if (request.action === 'resetAllData') {
@@ -650,12 +2176,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     chrome.storage.local.set({ 
       blockedUrlsByTab: {},
       totalBlockedAllTime: 0,
+      categoryTotals: {},
+      statsHistory: StatsHistory.createHistory(),
+      siteStats: SiteStats.createStats(),
       totalTimeSaved: 0,
       totalDataSaved: 0,
+      savingsBasis: {},
       userRank: 1,
       userXP: 0,
       userCoins: 0,
-      userLevel: 1,
       ownedAvatars: ['avatar_default'],
       equippedAvatar: '👤',
       dailyStreak: 0,
@@ -670,17 +2199,232 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true;
     
+  } else if (request.action === 'exportBackup') {
+    exportBackup()
+      .then((backup) => sendResponse({ success: true, backup }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'previewBackup') {
+    previewBackup(request.backup)
+      .then((rows) => sendResponse({ success: true, rows }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'importBackup') {
+    // mode is Backup.MODES.MERGE or REPLACE
+    importBackup(request.backup, request.mode)
+      .then((keys) => sendResponse({ success: true, keys }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
   } else if (request.action === 'updateBadge') {
     if (request.tabId) {
       updateBadgeForTab(request.tabId);
     } else {
-      chrome.tabs.query({}, (tabs) => {
-        tabs.forEach(tab => updateBadgeForTab(tab.id));
+      updateAllBadges();
+    }
+    sendResponse({ success: true });
+    return true;
+    
+  } else if (request.action === 'getCosmeticSelectors') {
+    // Asked by content/cosmetic.js for the frame it runs in
+    filterListReady.then(() => {
+      chrome.storage.local.get(['adBlockerEnabled'], (result) => {
+        const enabled = result.adBlockerEnabled !== false;
+        sendResponse({ selectors: getCosmeticSelectorsForFrame(sender.url, sender.tab?.url, enabled) });
       });
+    });
+    return true;
+    
+  } else if (request.action === 'reportHiddenElements') {
+    const tabId = sender.tab?.id;
+    
+    if (tabId !== undefined && tabId >= 0) {
+      if (!blockedUrlsByTab.has(tabId)) {
+        blockedUrlsByTab.set(tabId, createTabData(FilterParser.hostnameFromUrl(sender.tab.url)));
+      }
+      
+      const tabData = blockedUrlsByTab.get(tabId);
+      tabData.hiddenByFrame = tabData.hiddenByFrame || {};
+      tabData.hiddenByFrame[sender.frameId] = request.count;
+      tabData.hiddenCount = Object.values(tabData.hiddenByFrame).reduce((sum, n) => sum + n, 0);
+      scheduleStorageUpdate();
     }
+    
     sendResponse({ success: true });
     return true;
     
+  } else if (request.action === 'getAllowlist') {
+    sendResponse({ entries: siteAllowlist });
+    return true;
+    
+  } else if (request.action === 'getSiteAllowlistState') {
+    sendResponse({ allowlisted: isSiteAllowlisted(request.hostname) });
+    return true;
+    
+  } else if (request.action === 'setSiteAllowlisted') {
+    // Popup toggle: adds the exact hostname, and removes every entry covering it
+    const hostname = normalizeAllowlistEntry(request.hostname);
+    if (!hostname) {
+      sendResponse({ success: false, error: 'Invalid hostname' });
+      return true;
+    }
+    
+    const entries = request.allowlisted
+      ? [...new Set([...siteAllowlist, hostname])]
+      : siteAllowlist.filter(entry => !allowlistEntryMatches(entry, hostname));
+    
+    // Pausing for good replaces any timed pause on the site
+    saveAllowlist(entries)
+      .then(() => pruneSitePauses(entries, request.allowlisted ? [hostname] : []))
+      .then(() => sendResponse({ success: true, entries }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'addAllowlistEntry') {
+    const entry = normalizeAllowlistEntry(request.entry);
+    if (!entry) {
+      sendResponse({ success: false, error: 'Enter a hostname like example.com or *.example.com' });
+      return true;
+    }
+    
+    // An entry added by hand is for good, so a timed pause on it must not remove it
+    const entries = [...new Set([...siteAllowlist, entry])];
+    saveAllowlist(entries)
+      .then(() => pruneSitePauses(entries, [entry]))
+      .then(() => sendResponse({ success: true, entries: siteAllowlist }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'removeAllowlistEntry') {
+    saveAllowlist(siteAllowlist.filter(entry => entry !== request.entry))
+      .then(() => sendResponse({ success: true, entries: siteAllowlist }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'getUrlCleaning') {
+    sendResponse({ enabled: urlCleaningEnabled, exceptions: urlCleaningExceptions });
+    return true;
+    
+  } else if (request.action === 'setUrlCleaningEnabled') {
+    saveUrlCleaningSettings({ urlCleaningEnabled: request.enabled })
+      .then((settings) => sendResponse({ success: true, ...settings }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'addUrlCleaningException') {
+    const entry = normalizeCleaningException(request.entry);
+    if (!entry) {
+      sendResponse({ success: false, error: 'Enter a hostname like example.com' });
+      return true;
+    }
+    
+    saveUrlCleaningSettings({ urlCleaningExceptions: [...new Set([...urlCleaningExceptions, entry])] })
+      .then((settings) => sendResponse({ success: true, ...settings }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'removeUrlCleaningException') {
+    saveUrlCleaningSettings({ urlCleaningExceptions: urlCleaningExceptions.filter(entry => entry !== request.entry) })
+      .then((settings) => sendResponse({ success: true, ...settings }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'getPrivacyHeaders') {
+    sendResponse({ protections: getPrivacyHeaderSettings() });
+    return true;
+    
+  } else if (request.action === 'setPrivacyHeaderEnabled') {
+    setPrivacyHeaderEnabled(request.id, request.enabled)
+      .then(() => sendResponse({ success: true, protections: getPrivacyHeaderSettings() }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'getPrivacyHeadersForTab') {
+    getPrivacyHeadersForTab(request.tabId)
+      .then((result) => sendResponse({ success: true, ...result }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'getBlockedPage') {
+    // Asked by blocked/blocked.html for the tab it is showing in
+    getBlockedNavigation(sender.tab?.id)
+      .then((blocked) => sendResponse({ success: true, blocked }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'allowBlockedPageOnce') {
+    allowNavigationOnce(sender.tab?.id, request.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'allowBlockedSite') {
+    allowBlockedSite(request.url)
+      .then((hostname) => sendResponse({ success: true, hostname }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'getSubscriptions') {
+    Subscriptions.getSubscriptions().then(subscriptions => sendResponse({ subscriptions }));
+    return true;
+    
+  } else if (request.action === 'setSubscriptionEnabled') {
+    runSubscriptionTask(() => setSubscriptionEnabled(request.id, request.enabled))
+      .then(subscriptions => sendResponse({ success: true, subscriptions }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'updateSubscriptionNow') {
+    runSubscriptionTask(() => updateSubscription(request.id))
+      .then(subscription => sendResponse({ success: !subscription?.error, subscription }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'addSubscription') {
+    runSubscriptionTask(() => addSubscription(request.url))
+      .then(subscription => sendResponse({ success: true, subscription }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'removeSubscription') {
+    runSubscriptionTask(() => removeSubscription(request.id))
+      .then(subscriptions => sendResponse({ success: true, subscriptions }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'getCustomFilters') {
+    Promise.all([getCustomFilters(), getDynamicRuleSlots()])
+      .then(([filters, slots]) => sendResponse({ success: true, filters, slots }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'saveCustomFilters') {
+    const filters = sanitizeCustomFilters(request.filters);
+    
+    reloadFilterLists({ customFilters: filters })
+      .then(() => getDynamicRuleSlots())
+      .then(slots => sendResponse({ success: true, filters, slots, rejectedRegexes: rejectedRegexRules.custom || [] }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'disableRuleOnSite') {
+    addSiteException(request.pattern, request.hostname)
+      .then(text => sendResponse({ success: true, text }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
+  } else if (request.action === 'testUrls') {
+    Promise.all((request.urls || []).map(url => testRequest({
+      url,
+      type: request.type || 'other',
+      initiator: request.initiator || ''
+    })))
+      .then(results => sendResponse({ success: true, results }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+    
   } else if (request.action === 'shareExtension') {
     chrome.storage.local.get(['userXP', 'userCoins'], (result) => {
       chrome.storage.local.set({
@@ -692,6 +2436,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true;
   }
+}
+
+// Handlers read and write storage, so none runs before the migrations have.
+// The answer is always sent later, so the channel is kept open for every message.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  storageReady.then(() => {
+    if (!handleMessage(request, sender, sendResponse)) sendResponse();
+  });
+  return true;
 });
 
 // ============================================
@@ -705,10 +2458,32 @@ self.addEventListener('unload', () => {
 });
 
 // Initial load
-loadFilterList();
-chrome.storage.local.get(['blockedUrlsByTab'], (result) => {
-  const stored = result.blockedUrlsByTab || {};
-  Object.entries(stored).forEach(([tabId, data]) => {
-    blockedUrlsByTab.set(parseInt(tabId), data);
+reloadFilterLists();
+Entities.load()
+  .then((loaded) => { entityMap = loaded; })
+  .catch(error => console.error('Entity list not loaded:', error));
+// Everything that reads storage waits for the migrations
+storageReady.then(() => {
+  chrome.storage.local.get(['savingsSamples'], (result) => {
+    // Keep whatever was observed in the meantime if nothing was stored yet
+    if (result.savingsSamples) {
+      savingsSamples = result.savingsSamples;
+    }
+    savingsSamplesLoaded = true;
+  });
+  loadAllowlist();
+  // Also refreshes the rules, which outlive the worker but not a changed parameter list
+  applyUrlCleaning().catch(error => console.error('URL cleaning rules not installed:', error));
+  applyPrivacyHeaders().catch(error => console.error('Privacy header rules not installed:', error));
+  chrome.storage.local.get(['adBlockerEnabled'], (result) => {
+    blockingEnabled = result.adBlockerEnabled !== false;
+  });
+  // Pauses due while the worker was gone end now, not when the popup is next opened
+  restorePauses().catch(error => console.error('Error restoring pauses:', error));
+  chrome.storage.local.get(['blockedUrlsByTab'], (result) => {
+    const stored = result.blockedUrlsByTab || {};
+    Object.entries(stored).forEach(([tabId, data]) => {
+      blockedUrlsByTab.set(parseInt(tabId), data);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+// ============================================
+// BLOCKED.JS - Blocked page interstitial
+// DNR redirects blocked top-level navigations here. The background keeps
+// what was blocked for this tab; the page explains it and lets the user go
+// back, allow the page once or allow the site for good.
+// ============================================
+
+const MALWARE_CATEGORY = 'Malware';
+
+// Cache DOM elements
+const DOM = {
+  categoryIcon: document.getElementById('categoryIcon'),
+  blockedUrl: document.getElementById('blockedUrl'),
+  categoryAbout: document.getElementById('categoryAbout'),
+  categoryLabel: document.getElementById('categoryLabel'),
+  blockedRule: document.getElementById('blockedRule'),
+  blockedList: document.getElementById('blockedList'),
+  goBackBtn: document.getElementById('goBackBtn'),
+  allowOnceBtn: document.getElementById('allowOnceBtn'),
+  allowSiteBtn: document.getElementById('allowSiteBtn'),
+  blockedError: document.getElementById('blockedError')
+};
+
+let blocked = null;
+
+// ============================================
+// RENDERING
+// ============================================
+function showError(message) {
+  DOM.blockedError.textContent = message;
+  DOM.blockedError.style.display = 'block';
+}
+
+function setAllowButtonsDisabled(disabled) {
+  DOM.allowOnceBtn.disabled = disabled;
+  DOM.allowSiteBtn.disabled = disabled;
+}
+
+function renderBlockedPage(taxonomy, listTitles) {
+  const category = taxonomy.describe(blocked.category);
+
+  document.title = `Blocked: ${FilterParser.hostnameFromUrl(blocked.url) || blocked.url}`;
+  DOM.blockedUrl.textContent = blocked.url;
+  DOM.categoryIcon.textContent = category.icon;
+  DOM.categoryLabel.textContent = category.label;
+  DOM.categoryAbout.textContent = category.about || '';
+  DOM.blockedRule.textContent = blocked.rule || 'Unknown (the rule list was still loading)';
+
+  const listName = listTitles.get(blocked.listId) || blocked.listId;
+  DOM.blockedList.textContent = listName
+    ? `${listName}${blocked.line ? `, line ${blocked.line}` : ''}`
+    : '-';
+
+  // Proceeding to a malware or phishing site deserves a second thought
+  document.querySelector('.blocked-card').classList.toggle('malware', category.id === MALWARE_CATEGORY);
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+function confirmProceed() {
+  return blocked.category !== MALWARE_CATEGORY
+    || confirm('This site is known for malware or phishing. Open it anyway?');
+}
+
+DOM.goBackBtn.addEventListener('click', () => {
+  // The redirect replaced the blocked navigation, so back is the page before it
+  if (history.length > 1) {
+    history.back();
+  } else {
+    chrome.tabs.update({ url: 'chrome://newtab' });
+  }
+});
+
+DOM.allowOnceBtn.addEventListener('click', () => {
+  if (!confirmProceed()) return;
+  setAllowButtonsDisabled(true);
+
+  chrome.runtime.sendMessage({ action: 'allowBlockedPageOnce', url: blocked.url }, (response) => {
+    if (!response?.success) {
+      setAllowButtonsDisabled(false);
+      showError(response?.error || 'Could not allow this page');
+      return;
+    }
+    window.location.replace(blocked.url);
+  });
+});
+
+DOM.allowSiteBtn.addEventListener('click', () => {
+  if (!confirmProceed()) return;
+  setAllowButtonsDisabled(true);
+
+  chrome.runtime.sendMessage({ action: 'allowBlockedSite', url: blocked.url }, (response) => {
+    if (!response?.success) {
+      setAllowButtonsDisabled(false);
+      showError(response?.error || 'Could not add this site to your allowlist');
+      return;
+    }
+    window.location.replace(blocked.url);
+  });
+});
+
+// ============================================
+// INITIALIZATION
+// ============================================
+function sendMessage(message) {
+  return new Promise(resolve => chrome.runtime.sendMessage(message, resolve));
+}
+
+async function init() {
+  setAllowButtonsDisabled(true);
+
+  const [taxonomy, blockedResponse, subscriptionsResponse] = await Promise.all([
+    Taxonomy.load(),
+    sendMessage({ action: 'getBlockedPage' }),
+    sendMessage({ action: 'getSubscriptions' })
+  ]);
+
+  blocked = blockedResponse?.blocked;
+  if (!blocked) {
+    DOM.blockedUrl.textContent = '';
+    showError('The details of this block are gone. Go back and open the page again to see them.');
+    return;
+  }
+
+  // Subscription id -> title, for naming the list the rule came from
+  const listTitles = new Map([['custom', 'My Filters']]);
+  (subscriptionsResponse?.subscriptions || []).forEach(sub => listTitles.set(sub.id, sub.title));
+
+  renderBlockedPage(taxonomy, listTitles);
+  setAllowButtonsDisabled(false);
+}
+
+init().catch((error) => showError(error.message));
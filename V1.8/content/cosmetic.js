@@ -0,0 +1,106 @@
+// ============================================
+// COSMETIC.JS (content script)
+// Asks the background for the element hiding selectors of this frame,
+// injects them as a stylesheet and reports how many elements they hid.
+// ============================================
+
+(() => {
+  const STYLE_ID = 'adblock4all-cosmetic';
+  const COUNT_DELAY = 1000;
+
+  let selectors = [];
+  // Every valid selector as one list, so an element is tested in one call
+  let combinedSelector = '';
+  const hidden = new WeakSet();
+  let hiddenCount = 0;
+  let lastReportedCount = -1;
+  let pendingNodes = [];
+  let countTimer = null;
+
+  // A selector with braces could close its rule and add others; the parser
+  // rejects them, but lists compiled before it did may still have some
+  function isSafeSelector(selector) {
+    return !/[{}]/.test(selector);
+  }
+
+  // One invalid selector would void the whole combined list
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // One rule per selector so a single invalid selector can't void the rest
+  function injectStyles() {
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = selectors
+      .map(selector => `${selector} { display: none !important; }`)
+      .join('\n');
+
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function addHidden(el) {
+    if (hidden.has(el)) return;
+    hidden.add(el);
+    hiddenCount++;
+  }
+
+  // Elements hidden in and under root; the page once when it has loaded,
+  // then only what was added since, so a busy page isn't searched again and again
+  function countHiddenIn(root) {
+    if (root.nodeType !== Node.ELEMENT_NODE || !root.isConnected) return;
+    if (root.matches(combinedSelector)) addHidden(root);
+    root.querySelectorAll(combinedSelector).forEach(addHidden);
+  }
+
+  function reportHiddenCount() {
+    countTimer = null;
+    const nodes = pendingNodes;
+    pendingNodes = [];
+    nodes.forEach(countHiddenIn);
+
+    if (hiddenCount !== lastReportedCount) {
+      lastReportedCount = hiddenCount;
+      chrome.runtime.sendMessage({ action: 'reportHiddenElements', count: hiddenCount });
+    }
+  }
+
+  function scheduleCount(nodes) {
+    pendingNodes.push(...nodes);
+    if (countTimer) return;
+    countTimer = setTimeout(reportHiddenCount, COUNT_DELAY);
+  }
+
+  chrome.runtime.sendMessage({ action: 'getCosmeticSelectors' }, (response) => {
+    if (chrome.runtime.lastError || !response || response.selectors.length === 0) return;
+
+    selectors = response.selectors.filter(isSafeSelector);
+    if (selectors.length === 0) return;
+    injectStyles();
+
+    combinedSelector = selectors.filter(isValidSelector).join(', ');
+    if (!combinedSelector) return;
+
+    // Ads keep arriving after load, so count (throttled) what the DOM gains
+    const startObserving = () => {
+      scheduleCount([document.documentElement]);
+      new MutationObserver((mutations) => {
+        scheduleCount(mutations.flatMap(mutation => [...mutation.addedNodes]));
+      }).observe(document.documentElement, {
+        childList: true,
+        subtree: true
+      });
+    };
+
+    if (document.readyState === 'complete') {
+      startObserving();
+    } else {
+      window.addEventListener('load', startObserving, { once: true });
+    }
+  });
+})();
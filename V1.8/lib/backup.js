@@ -0,0 +1,318 @@
+// ============================================
+// BACKUP.JS
+// The backup file behind Settings > Backup: every chrome.storage.local key
+// that belongs to the user (profile, stats, settings, allowlists, custom
+// filters and subscriptions) in one versioned JSON document with a SHA-256
+// checksum. background.js collects and restores the keys; this module only
+// builds, checks, compares and combines the data.
+//
+// backup = { format, version, schemaVersion, extensionVersion, createdAt,
+//           checksum, data }
+// The checksum covers `data` serialized with sorted keys, so it doesn't
+// depend on the order chrome.storage hands keys back in. schemaVersion is the
+// storage schema `data` was written in (see migrations.js); backups without
+// one predate it and are read as schema 0.
+//
+// Per-tab logs, running pauses, downloaded list contents and the savings
+// model's samples are left out: they are rebuilt by using the browser.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Backup = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const BACKUP_FORMAT = 'adblock4all-backup';
+  const BACKUP_VERSION = 1;
+
+  const MODES = {
+    MERGE: 'merge',
+    REPLACE: 'replace'
+  };
+
+  // type is checked on import and picks the preview summary; merge says how
+  // an imported value combines with the one already stored
+  const FIELDS = [
+    { key: 'userXP', label: 'XP', group: 'Profile', type: 'number', merge: 'max' },
+    { key: 'userCoins', label: 'Coins', group: 'Profile', type: 'number', merge: 'max' },
+    { key: 'ownedAvatars', label: 'Owned avatars', group: 'Profile', type: 'strings', merge: 'union' },
+    { key: 'equippedAvatar', label: 'Equipped avatar', group: 'Profile', type: 'string', merge: 'incoming' },
+    { key: 'dailyStreak', label: 'Daily streak', group: 'Profile', type: 'number', merge: 'max' },
+    { key: 'lastActiveDate', label: 'Last active', group: 'Profile', type: 'string', merge: 'latestDate' },
+    { key: 'userRank', label: 'Rank', group: 'Profile', type: 'number', merge: 'incoming' },
+    { key: 'totalShared', label: 'Times shared', group: 'Profile', type: 'number', merge: 'max' },
+    { key: 'shareCoinsEarned', label: 'Coins from sharing', group: 'Profile', type: 'number', merge: 'max' },
+
+    { key: 'totalBlockedAllTime', label: 'Total blocked', group: 'Statistics', type: 'number', merge: 'max' },
+    { key: 'totalTimeSaved', label: 'Time saved (s)', group: 'Statistics', type: 'number', merge: 'max' },
+    { key: 'totalDataSaved', label: 'Data saved (KB)', group: 'Statistics', type: 'number', merge: 'max' },
+    { key: 'categoryTotals', label: 'Category totals', group: 'Statistics', type: 'counts', merge: 'maxCounts' },
+    { key: 'savingsBasis', label: 'Savings estimates', group: 'Statistics', type: 'counts', merge: 'maxCounts' },
+    { key: 'statsHistory', label: 'Daily history', group: 'Statistics', type: 'history', merge: 'history' },
+    { key: 'siteStats', label: 'Site and tracker totals', group: 'Statistics', type: 'siteStats', merge: 'siteStats' },
+
+    { key: 'adBlockerEnabled', label: 'Blocking', group: 'Settings', type: 'boolean', merge: 'incoming' },
+    { key: 'showBadge', label: 'Badge', group: 'Settings', type: 'boolean', merge: 'incoming' },
+    { key: 'urlCleaningEnabled', label: 'URL cleaning', group: 'Settings', type: 'boolean', merge: 'incoming' },
+    { key: 'privacyHeaders', label: 'Privacy headers', group: 'Settings', type: 'toggles', merge: 'assign' },
+
+    { key: 'allowlist', label: 'Allowlist', group: 'Lists', type: 'strings', merge: 'union' },
+    { key: 'urlCleaningExceptions', label: 'URL cleaning exceptions', group: 'Lists', type: 'strings', merge: 'union' },
+    { key: 'customFilters', label: 'Custom filters', group: 'Lists', type: 'filters', merge: 'filters' },
+    { key: 'subscriptions', label: 'Filter lists', group: 'Lists', type: 'subscriptions', merge: 'subscriptions' }
+  ];
+
+  const BACKUP_KEYS = FIELDS.map(field => field.key);
+
+  // ============================================
+  // CHECKSUM
+  // ============================================
+  function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (!isObject(value)) return value;
+
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      result[key] = canonicalize(value[key]);
+    });
+    return result;
+  }
+
+  function stableStringify(value) {
+    return JSON.stringify(canonicalize(value));
+  }
+
+  async function checksum(data) {
+    const bytes = new TextEncoder().encode(stableStringify(data));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // ============================================
+  // TYPES
+  // ============================================
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isCount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+
+  const TYPES = {
+    number: isCount,
+    boolean: value => typeof value === 'boolean',
+    string: value => typeof value === 'string',
+    strings: value => Array.isArray(value) && value.every(entry => typeof entry === 'string'),
+    counts: value => isObject(value) && Object.values(value).every(isCount),
+    toggles: value => isObject(value) && Object.values(value).every(entry => typeof entry === 'boolean'),
+    history: value => isObject(value) && isObject(value.days) && Object.values(value.days).every(isObject),
+    siteStats: value => isObject(value) && isObject(value.sites) && isObject(value.trackers),
+    filters: value => Array.isArray(value) &&
+      value.every(entry => isObject(entry) && typeof entry.text === 'string' && entry.id !== undefined),
+    subscriptions: value => Array.isArray(value) &&
+      value.every(entry => isObject(entry) && typeof entry.id === 'string' && typeof entry.url === 'string')
+  };
+
+  function plural(count, word, words = `${word}s`) {
+    return `${count.toLocaleString()} ${count === 1 ? word : words}`;
+  }
+
+  // One-line description of a stored value for the import preview
+  const SUMMARIES = {
+    number: value => (Math.round(value * 100) / 100).toLocaleString(),
+    boolean: value => (value ? 'On' : 'Off'),
+    string: value => value || '(none)',
+    strings: value => plural(value.length, 'entry', 'entries'),
+    counts: value => plural(Object.values(value).reduce((sum, count) => sum + count, 0), 'block'),
+    toggles: value => `${Object.values(value).filter(Boolean).length} of ${Object.keys(value).length} on`,
+    history: value => plural(Object.keys(value.days).length, 'day'),
+    siteStats: value => `${plural(Object.keys(value.sites).length, 'site')}, ${plural(Object.keys(value.trackers).length, 'tracker')}`,
+    filters: value => plural(value.length, 'filter'),
+    subscriptions: value => plural(value.length, 'list')
+  };
+
+  function summarize(field, value) {
+    return value === undefined ? '—' : SUMMARIES[field.type](value);
+  }
+
+  // ============================================
+  // MERGING
+  // ============================================
+  // Larger of two { key: entry } tables, entry by entry
+  function mergeLarger(current = {}, incoming = {}, size) {
+    const result = { ...current };
+    Object.entries(incoming).forEach(([key, entry]) => {
+      if (!result[key] || size(entry) > size(result[key])) {
+        result[key] = entry;
+      }
+    });
+    return result;
+  }
+
+  function mergeHours(current, incoming) {
+    if (!current || !current.date) return incoming;
+    if (!incoming || !incoming.date || incoming.date < current.date) return current;
+    if (incoming.date > current.date) return incoming;
+
+    return {
+      date: current.date,
+      blocked: current.blocked.map((count, hour) => Math.max(count, incoming.blocked[hour] || 0))
+    };
+  }
+
+  // Each takes (current, incoming) with incoming already validated; current
+  // may be missing
+  const MERGERS = {
+    max: (current, incoming) => Math.max(current || 0, incoming),
+    incoming: (current, incoming) => incoming,
+    union: (current, incoming) => [...new Set([...(current || []), ...incoming])],
+    latestDate: (current, incoming) => ((Date.parse(incoming) || 0) >= (Date.parse(current) || 0) ? incoming : current),
+    maxCounts: (current, incoming) => mergeLarger(current, incoming, count => count),
+    assign: (current, incoming) => ({ ...current, ...incoming }),
+
+    // The same day recorded on two machines can't be told apart from the same
+    // day recorded twice, so the busier copy of each day is kept rather than the sum
+    history: (current, incoming) => ({
+      days: mergeLarger(current && current.days, incoming.days, day => day.blocked || 0),
+      hours: mergeHours(current && current.hours, incoming.hours)
+    }),
+
+    siteStats: (current, incoming) => ({
+      sites: mergeLarger(current && current.sites, incoming.sites, entry => entry.total || 0),
+      trackers: mergeLarger(current && current.trackers, incoming.trackers, entry => entry.total || 0),
+      entities: mergeLarger(current && current.entities, incoming.entities, entry => entry.total || 0)
+    }),
+
+    // Filters are the same if their text is; imported ones keep their id unless it's taken
+    filters: (current = [], incoming) => {
+      const texts = new Set(current.map(entry => entry.text));
+      const ids = new Set(current.map(entry => String(entry.id)));
+      const added = incoming
+        .filter(entry => !texts.has(entry.text))
+        .map(entry => (ids.has(String(entry.id)) ? { ...entry, id: `${entry.id}-imported` } : entry));
+      return [...current, ...added];
+    },
+
+    // Lists are the same if their id or URL is; the backup decides whether they're on
+    subscriptions: (current = [], incoming) => {
+      const result = current.map(sub => {
+        const match = incoming.find(entry => entry.id === sub.id || entry.url === sub.url);
+        return match ? { ...sub, enabled: match.enabled !== false } : sub;
+      });
+      const added = incoming.filter(entry => !current.some(sub => sub.id === entry.id || sub.url === entry.url));
+      return [...result, ...added];
+    }
+  };
+
+  /**
+   * What storage should hold after importing `data` over `current` (both
+   * { key: value } for BACKUP_KEYS). Only keys that are in the backup are
+   * returned; the rest stay as they are in either mode.
+   */
+  function combine(current, data, mode) {
+    const result = {};
+    FIELDS.forEach(field => {
+      if (data[field.key] === undefined) return;
+      result[field.key] = mode === MODES.REPLACE
+        ? data[field.key]
+        : MERGERS[field.merge](current[field.key], data[field.key]);
+    });
+    return result;
+  }
+
+  // ============================================
+  // FILES
+  // ============================================
+  async function createBackup(data, { schemaVersion = 0, extensionVersion = '', now = Date.now() } = {}) {
+    const contents = {};
+    FIELDS.forEach(field => {
+      if (data[field.key] !== undefined) contents[field.key] = data[field.key];
+    });
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion,
+      extensionVersion,
+      createdAt: new Date(now).toISOString(),
+      checksum: await checksum(contents),
+      data: contents
+    };
+  }
+
+  /**
+   * Throws with a message for the user if `backup` (the parsed file) isn't a
+   * backup this version can read, has been edited or has a value of the
+   * wrong shape. Keys from newer versions are ignored, but data from a newer
+   * storage schema than `schemaVersion` (the latest this build knows) isn't.
+   */
+  async function validateBackup(backup, { schemaVersion = Infinity } = {}) {
+    if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+      throw new Error('This file is not an AdBlock4All backup');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('The backup has no valid version');
+    }
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error('The backup was made by a newer version of AdBlock4All; update the extension first');
+    }
+    if (backup.schemaVersion !== undefined &&
+        (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 0)) {
+      throw new Error('The backup has no valid schema version');
+    }
+    if (backup.schemaVersion > schemaVersion) {
+      throw new Error('The backup was made by a newer version of AdBlock4All; update the extension first');
+    }
+    if (!isObject(backup.data)) {
+      throw new Error('The backup has no data');
+    }
+    if (backup.checksum !== await checksum(backup.data)) {
+      throw new Error('The backup is damaged or was edited (checksum mismatch)');
+    }
+
+    const invalid = FIELDS.find(field =>
+      backup.data[field.key] !== undefined && !TYPES[field.type](backup.data[field.key]));
+    if (invalid) {
+      throw new Error(`The backup's "${invalid.label}" value is not valid`);
+    }
+
+    return backup;
+  }
+
+  /**
+   * Preview rows for each key in the backup: what is stored now, what the
+   * backup has, and what a merge would leave.
+   */
+  function diffBackup(current, data) {
+    const merged = combine(current, data, MODES.MERGE);
+
+    return FIELDS
+      .filter(field => data[field.key] !== undefined)
+      .map(field => ({
+        key: field.key,
+        label: field.label,
+        group: field.group,
+        current: summarize(field, current[field.key]),
+        incoming: summarize(field, data[field.key]),
+        merged: summarize(field, merged[field.key]),
+        changed: stableStringify(current[field.key]) !== stableStringify(data[field.key])
+      }));
+  }
+
+  return {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    BACKUP_KEYS,
+    MODES,
+    FIELDS,
+    checksum,
+    createBackup,
+    validateBackup,
+    diffBackup,
+    combine
+  };
+});
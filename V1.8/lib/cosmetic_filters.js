@@ -0,0 +1,97 @@
+// ============================================
+// COSMETIC_FILTERS.JS
+// Element hiding (## / #@#) index, loaded into background.js with importScripts;
+// tools/ can require it.
+// Selectors are grouped per hostname so a frame can ask for exactly the set
+// that applies to it.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CosmeticIndex = factory().CosmeticIndex;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  class CosmeticIndex {
+    constructor() {
+      this.generic = new Set();
+      // Generic filters with "~domain" exclusions, as { selector, excludedDomains }
+      this.genericScoped = [];
+      this.genericExceptions = new Set();
+      // domain -> Set of { selector, excludedDomains }
+      this.specific = new Map();
+      // domain -> Set of selectors allowed by #@# filters
+      this.exceptions = new Map();
+      this.selectorCount = 0;
+    }
+
+    // filter is a parsed cosmetic filter from FilterParser.parseFilterLine()
+    add(filter) {
+      const { selector, domains, excludedDomains } = filter;
+
+      if (filter.isException) {
+        if (domains.length === 0) {
+          this.genericExceptions.add(selector);
+        } else {
+          domains.forEach(domain => this._addTo(this.exceptions, domain, selector));
+        }
+        return;
+      }
+
+      // "~sub.site.com" stays with its filter: it stops that filter there, not
+      // other filters that happen to hide the same selector
+      const rule = { selector, excludedDomains };
+      if (domains.length > 0) {
+        domains.forEach(domain => this._addTo(this.specific, domain, rule));
+      } else if (excludedDomains.length > 0) {
+        this.genericScoped.push(rule);
+      } else {
+        this.generic.add(selector);
+      }
+      this.selectorCount++;
+    }
+
+    _addTo(map, domain, value) {
+      if (!map.has(domain)) {
+        map.set(domain, new Set());
+      }
+      map.get(domain).add(value);
+    }
+
+    /**
+     * Selectors to hide on a hostname. Rules for a domain also apply to its
+     * subdomains, so every label suffix of the hostname is looked up.
+     */
+    getSelectors(hostname, { includeGeneric = true } = {}) {
+      const suffixes = [];
+      let suffix = (hostname || '').toLowerCase();
+      while (suffix) {
+        suffixes.push(suffix);
+        const dot = suffix.indexOf('.');
+        suffix = dot === -1 ? '' : suffix.substring(dot + 1);
+      }
+
+      const selected = new Set(includeGeneric ? this.generic : []);
+      const excluded = new Set(this.genericExceptions);
+      const select = (rule) => {
+        if (!rule.excludedDomains.some(domain => suffixes.includes(domain))) {
+          selected.add(rule.selector);
+        }
+      };
+
+      if (includeGeneric) {
+        this.genericScoped.forEach(select);
+      }
+      for (const domain of suffixes) {
+        this.specific.get(domain)?.forEach(select);
+        this.exceptions.get(domain)?.forEach(selector => excluded.add(selector));
+      }
+
+      return [...selected].filter(selector => !excluded.has(selector));
+    }
+  }
+
+  return { CosmeticIndex };
+});
@@ -0,0 +1,85 @@
+// ============================================
+// ENTITIES.JS
+// Which company is behind a tracker domain: doubleclick.net and
+// google-analytics.com are both Google, connect.facebook.net is Meta. The
+// companies and their domains live in data/entities.json. Used by
+// background.js (via importScripts) and the popup pages (via script tags).
+//
+// Hostnames are matched like the taxonomy does: the most specific listed
+// suffix wins, and the walk stops at the registrable domain.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filter_parser'));
+  } else {
+    root.Entities = factory(root.FilterParser);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FilterParser) {
+
+  const ENTITIES_PATH = 'data/entities.json';
+
+  class EntityMap {
+    // data is the parsed contents of data/entities.json
+    constructor(data) {
+      this.entities = data.entities;
+      this.byId = new Map(this.entities.map(entity => [entity.id, entity]));
+      this.domains = new Map();
+
+      for (const entity of this.entities) {
+        for (const domain of entity.domains) {
+          if (this.domains.has(domain)) {
+            throw new Error(`${domain} is listed under both ${this.domains.get(domain)} and ${entity.id}`);
+          }
+          this.domains.set(domain, entity.id);
+        }
+      }
+    }
+
+    // The entity object for an id, or null for ids from an older entities.json
+    describe(id) {
+      return this.byId.get(id) || null;
+    }
+
+    // Entity id for a hostname, or null when no company is known for it
+    entityForHost(hostname) {
+      if (!hostname) return null;
+
+      const host = hostname.toLowerCase();
+      const registrable = FilterParser.getRegistrableDomain(host);
+      let suffix = host;
+      while (suffix.length >= registrable.length) {
+        const id = this.domains.get(suffix);
+        if (id) return id;
+
+        const dot = suffix.indexOf('.');
+        if (dot === -1) break;
+        suffix = suffix.substring(dot + 1);
+      }
+      return null;
+    }
+
+    entityForUrl(url) {
+      return this.entityForHost(FilterParser.hostnameFromUrl(url));
+    }
+  }
+
+  // Extension pages and the service worker read the packaged copy
+  let loading = null;
+
+  function load() {
+    if (!loading) {
+      loading = fetch(chrome.runtime.getURL(ENTITIES_PATH))
+        .then(response => response.json())
+        .then(data => new EntityMap(data));
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  return {
+    ENTITIES_PATH,
+    EntityMap,
+    load
+  };
+});
@@ -0,0 +1,638 @@
+// ============================================
+// FILTER_PARSER.JS
+// Shared filter list parsing used by both background.js (via importScripts)
+// and ad_blocker_converter.js (via require), so a rule means the same thing
+// at build time and at runtime. Understands ABP lists, AdGuard's extensions
+// to them, hosts files and plain one-domain-per-line lists.
+// ============================================
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.FilterParser = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // Every resource type declarativeNetRequest knows about
+  const ALL_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+    'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'
+  ];
+
+  // ABP type options -> DNR resource types
+  const TYPE_OPTIONS = {
+    'script': ['script'],
+    'image': ['image'],
+    'stylesheet': ['stylesheet'],
+    'object': ['object'],
+    'object-subrequest': ['object'],
+    'xmlhttprequest': ['xmlhttprequest'],
+    'subdocument': ['sub_frame'],
+    'document': ['main_frame'],
+    'ping': ['ping'],
+    'media': ['media'],
+    'font': ['font'],
+    'websocket': ['websocket'],
+    'other': ['other']
+  };
+
+  // AdGuard's shorter spellings of ABP options
+  const ADGUARD_OPTION_ALIASES = {
+    'xhr': 'xmlhttprequest',
+    'css': 'stylesheet',
+    'frame': 'subdocument',
+    'doc': 'document',
+    'ehide': 'elemhide',
+    'ghide': 'generichide'
+  };
+
+  // Exceptions must outrank blocks or DNR would still block the request,
+  // AdGuard's $important lifts a filter over ordinary exceptions, and user
+  // choices (allowlisted sites, the power button) must outrank every list filter.
+  // URL cleaning ties with blocks, and DNR prefers a block over a redirect.
+  // "Allow once" on the blocked-page interstitial beats any list filter.
+  const PRIORITY = {
+    BLOCK: 1,
+    URL_CLEANING: 1,
+    EXCEPTION: 2,
+    IMPORTANT_BLOCK: 3,
+    IMPORTANT_EXCEPTION: 4,
+    ALLOW_ONCE: 50,
+    ALLOWLIST: 100,
+    POWER_OFF: 1000
+  };
+
+  const LIST_FORMATS = ['abp', 'adguard', 'hosts', 'domains'];
+
+  // Extension page that blocked top-level navigations are redirected to
+  const INTERSTITIAL_PATH = '/blocked/blocked.html';
+
+  const OPTIONS_RE = /^~?[\w-]+(=[^,]*)?(,~?[\w-]+(=[^,]*)?)*$/;
+  // domains#@#selector -> [, domains, '@', extended-syntax marker, selector]
+  const COSMETIC_RE = /^([^\/|*^$#]*)#(@?)([$?%]?)#(.*)$/;
+  // AdGuard HTML filtering: domains$$selector / domains$@$selector
+  const HTML_FILTER_RE = /^[^\/|*^$]*\$@?\$/;
+  const HOSTS_LINE_RE = /^(?:0\.0\.0\.0|127\.0\.0\.1|::1?|0)\s+(\S+)/;
+  const DOMAIN_RE = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]*[a-z0-9]$/i;
+  // Names hosts files map to localhost for the machine itself, not to block anything
+  const HOSTS_LOCAL_NAMES = new Set([
+    'localhost', 'localhost.localdomain', 'local', 'broadcasthost',
+    'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+    'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts', '0.0.0.0'
+  ]);
+
+  // Second-level suffixes common enough that "last two labels" gets them wrong
+  const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'org.nz', 'net.nz',
+    'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+    'co.kr', 'or.kr',
+    'co.in', 'net.in', 'org.in',
+    'co.za', 'org.za',
+    'com.br', 'net.br', 'org.br',
+    'com.cn', 'net.cn', 'org.cn',
+    'com.mx', 'com.ar', 'com.tr', 'com.tw', 'com.hk', 'com.sg', 'com.my',
+    'com.ua', 'com.pl', 'com.ru'
+  ]);
+
+  // ============================================
+  // DOMAIN HELPERS
+  // ============================================
+  function getRegistrableDomain(hostname) {
+    if (!hostname) return '';
+
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+
+    const labels = host.split('.');
+    if (labels.length <= 2) return host;
+
+    const lastTwo = labels.slice(-2).join('.');
+    if (MULTI_PART_SUFFIXES.has(lastTwo)) {
+      return labels.slice(-3).join('.');
+    }
+    return lastTwo;
+  }
+
+  function isSameOrSubdomain(hostname, domain) {
+    return hostname === domain || hostname.endsWith('.' + domain);
+  }
+
+  function hostnameFromUrl(url) {
+    if (!url) return '';
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // ============================================
+  // OPTION PARSING
+  // ============================================
+  function splitPatternAndOptions(filter) {
+    const idx = filter.lastIndexOf('$');
+    if (idx <= 0) return { pattern: filter, optionText: '' };
+
+    const optionText = filter.substring(idx + 1);
+    if (!OPTIONS_RE.test(optionText)) return { pattern: filter, optionText: '' };
+
+    return { pattern: filter.substring(0, idx), optionText };
+  }
+
+  function parseOptions(optionText, isException, format) {
+    const options = {
+      resourceTypes: [],
+      excludedResourceTypes: [],
+      domainType: null,
+      initiatorDomains: [],
+      excludedInitiatorDomains: [],
+      matchCase: false,
+      important: false,
+      document: false,
+      elemhide: false,
+      generichide: false
+    };
+
+    if (!optionText) return { options };
+
+    for (const rawOption of optionText.split(',')) {
+      const option = rawOption.trim().toLowerCase();
+      if (!option) continue;
+
+      const negated = option.startsWith('~');
+      const name = negated ? option.substring(1) : option;
+      const eqIdx = name.indexOf('=');
+      const rawKey = eqIdx === -1 ? name : name.substring(0, eqIdx);
+      const key = format === 'adguard' ? (ADGUARD_OPTION_ALIASES[rawKey] || rawKey) : rawKey;
+      const value = eqIdx === -1 ? '' : name.substring(eqIdx + 1);
+
+      if (isException && !negated && (key === 'document' || key === 'elemhide' || key === 'generichide')) {
+        // Page-level exceptions: whitelist the whole document, or just (generic) hiding rules
+        options[key] = true;
+      } else if (TYPE_OPTIONS[key] && eqIdx === -1) {
+        const target = negated ? options.excludedResourceTypes : options.resourceTypes;
+        target.push(...TYPE_OPTIONS[key]);
+      } else if (key === 'third-party' || key === '3p') {
+        options.domainType = negated ? 'firstParty' : 'thirdParty';
+      } else if (key === 'first-party' || key === '1p') {
+        options.domainType = negated ? 'thirdParty' : 'firstParty';
+      } else if (key === 'domain' && !negated && value) {
+        for (const entry of value.split('|')) {
+          const domain = entry.trim();
+          if (!domain) continue;
+          if (domain.startsWith('~')) {
+            options.excludedInitiatorDomains.push(domain.substring(1));
+          } else {
+            options.initiatorDomains.push(domain);
+          }
+        }
+      } else if (key === 'match-case' && !negated) {
+        options.matchCase = true;
+      } else if (key === 'important' && !negated && format === 'adguard') {
+        options.important = true;
+      } else {
+        return { error: `unsupported option "${rawOption.trim()}"` };
+      }
+    }
+
+    // An include list wins over excludes, the same way ABP resolves "$script,~image"
+    if (options.resourceTypes.length > 0) {
+      const excluded = new Set(options.excludedResourceTypes);
+      options.resourceTypes = [...new Set(options.resourceTypes)].filter(type => !excluded.has(type));
+      options.excludedResourceTypes = [];
+      if (options.resourceTypes.length === 0) {
+        return { error: 'option list excludes every resource type' };
+      }
+    } else {
+      options.excludedResourceTypes = [...new Set(options.excludedResourceTypes)];
+    }
+
+    return { options };
+  }
+
+  // ============================================
+  // COSMETIC PARSING
+  // ============================================
+  function parseCosmeticFilter(raw, match) {
+    const [, domainText, exceptionMark, extension, selector] = match;
+
+    if (extension) {
+      return { error: `unsupported cosmetic syntax "#${exceptionMark}${extension}#"`, raw };
+    }
+    if (!selector.trim()) {
+      return { error: 'empty selector', raw };
+    }
+    if (selector.startsWith('+js(') || selector.startsWith('^')) {
+      return { error: 'scriptlet or HTML filter', raw };
+    }
+    // The selector ends up in a stylesheet as "selector { display: none }"; a brace would let it add rules of its own
+    if (/[{}]/.test(selector)) {
+      return { error: 'selector contains { or }', raw };
+    }
+
+    const domains = [];
+    const excludedDomains = [];
+    for (const entry of domainText.split(',')) {
+      const domain = entry.trim().toLowerCase();
+      if (!domain) continue;
+      if (domain.startsWith('~')) {
+        excludedDomains.push(domain.substring(1));
+      } else {
+        domains.push(domain);
+      }
+    }
+
+    return {
+      type: 'cosmetic',
+      raw,
+      selector: selector.trim(),
+      isException: exceptionMark === '@',
+      domains,
+      excludedDomains
+    };
+  }
+
+  // ============================================
+  // LINE PARSING
+  // ============================================
+
+  // Hosts files and domain lists block a host and its subdomains, which is "||host^"
+  function parseDomainEntry(raw, hostname) {
+    const domain = hostname.toLowerCase().replace(/\.$/, '');
+    if (HOSTS_LOCAL_NAMES.has(domain)) {
+      return null;
+    }
+    if (!DOMAIN_RE.test(domain)) {
+      return { error: 'invalid domain', raw };
+    }
+
+    const { options } = parseOptions('', false);
+    return {
+      type: 'network',
+      raw,
+      pattern: `||${domain}^`,
+      regexSource: null,
+      isException: false,
+      ...options
+    };
+  }
+
+  // ============================================
+  // REGEX FILTERS
+  // ============================================
+  // DNR compiles regexFilter with RE2, which has no lookaround, backreferences
+  // or atomic groups. Chrome's isRegexSupported() has the final say at runtime.
+  const RE2_UNSUPPORTED = [
+    { re: /\(\?<?[=!]/, reason: 'lookaround' },
+    { re: /\(\?>/, reason: 'atomic group' },
+    { re: /\\[1-9]/, reason: 'backreference' }
+  ];
+
+  // ABP reads a pattern that starts and ends with a slash as a regular expression
+  function isRegexPattern(pattern) {
+    return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+  }
+
+  // Why a regex source can't become a regexFilter rule, or null if it can
+  function checkRegexSource(source, matchCase) {
+    try {
+      new RegExp(source, matchCase ? '' : 'i');
+    } catch (e) {
+      return 'invalid regex';
+    }
+
+    const unsupported = RE2_UNSUPPORTED.find(({ re }) => re.test(source));
+    return unsupported ? `regex uses ${unsupported.reason}` : null;
+  }
+
+  // "# comment" in hosts files and domain lists; "##" and "#@#" are still cosmetic filters
+  function isHashComment(line) {
+    return /^#(?![@?$%]?#)/.test(line);
+  }
+
+  /**
+   * Parse one line of a filter list in the given format ('abp' by default,
+   * see LIST_FORMATS). Returns null for blank lines, comments and headers,
+   * { error, raw } for filters we cannot represent faithfully, and otherwise
+   * a filter whose type is 'network' or 'cosmetic'.
+   */
+  function parseFilterLine(line, format = 'abp') {
+    const raw = line.trim();
+
+    if (!raw || raw.startsWith('!') || raw.startsWith('[')) {
+      return null;
+    }
+
+    if (format === 'hosts' || format === 'domains') {
+      const entry = raw.replace(/\s+#.*$/, '');
+      if (isHashComment(entry)) return null;
+
+      // Only the first name of a multi-name hosts line is read
+      const hostsMatch = entry.match(HOSTS_LINE_RE);
+      if (hostsMatch) return parseDomainEntry(raw, hostsMatch[1]);
+      if (format === 'hosts') return { error: 'not a hosts entry', raw };
+      return parseDomainEntry(raw, entry);
+    }
+
+    if (format === 'adguard' && HTML_FILTER_RE.test(raw)) {
+      return { error: 'HTML filter', raw };
+    }
+
+    const cosmeticMatch = raw.match(COSMETIC_RE);
+    if (cosmeticMatch) {
+      return parseCosmeticFilter(raw, cosmeticMatch);
+    }
+
+    const isException = raw.startsWith('@@');
+    const body = isException ? raw.substring(2) : raw;
+
+    const { pattern, optionText } = splitPatternAndOptions(body);
+    const parsed = parseOptions(optionText, isException, format);
+
+    if (parsed.error) {
+      return { error: parsed.error, raw };
+    }
+
+    if (!pattern || pattern === '|' || pattern === '||') {
+      return { error: 'empty pattern', raw };
+    }
+
+    // DNR only accepts ASCII url filters (IDN hosts must be punycoded by the list)
+    if (/[^\x00-\x7F]/.test(pattern)) {
+      return { error: 'non-ASCII pattern', raw };
+    }
+
+    const regexSource = isRegexPattern(pattern) ? pattern.slice(1, -1) : null;
+    if (regexSource) {
+      const regexError = checkRegexSource(regexSource, parsed.options.matchCase);
+      if (regexError) {
+        return { error: regexError, raw, regexSource };
+      }
+    }
+
+    return {
+      type: 'network',
+      raw,
+      pattern,
+      regexSource,
+      isException,
+      ...parsed.options
+    };
+  }
+
+  /**
+   * Guess a list's format from its header and first few hundred lines.
+   * AdGuard-only syntax wins over ABP; otherwise the most common line shape does.
+   */
+  function detectListFormat(content) {
+    const lines = content.split('\n', 500).map(line => line.trim()).filter(Boolean);
+    const counts = { abp: 0, hosts: 0, domains: 0 };
+
+    for (const line of lines) {
+      if (/^!.*adguard/i.test(line) || /^\[adguard/i.test(line)) return 'adguard';
+      if (line.startsWith('!') || line.startsWith('[') || isHashComment(line)) continue;
+
+      if (HTML_FILTER_RE.test(line) || /#@?[$%]#/.test(line) || /[$,]important\b/i.test(line)) {
+        return 'adguard';
+      }
+
+      if (HOSTS_LINE_RE.test(line)) {
+        counts.hosts++;
+      } else if (DOMAIN_RE.test(line.replace(/\s+#.*$/, ''))) {
+        counts.domains++;
+      } else {
+        counts.abp++;
+      }
+    }
+
+    if (counts.hosts > counts.abp && counts.hosts >= counts.domains) return 'hosts';
+    if (counts.domains > counts.abp) return 'domains';
+    return 'abp';
+  }
+
+  // ============================================
+  // DNR COMPILATION
+  // ============================================
+  function toDnrCondition(filter) {
+    const condition = filter.regexSource
+      ? { regexFilter: filter.regexSource }
+      : { urlFilter: filter.pattern };
+
+    if (filter.resourceTypes.length > 0) {
+      condition.resourceTypes = filter.resourceTypes;
+    } else if (filter.excludedResourceTypes.length > 0) {
+      // Chrome drops main_frame when resourceTypes is omitted, so spell out the rest
+      const excluded = new Set(filter.excludedResourceTypes);
+      condition.resourceTypes = ALL_RESOURCE_TYPES.filter(type => !excluded.has(type));
+    } else {
+      condition.resourceTypes = ALL_RESOURCE_TYPES.slice();
+    }
+
+    if (filter.domainType) {
+      condition.domainType = filter.domainType;
+    }
+    if (filter.initiatorDomains.length > 0) {
+      condition.initiatorDomains = filter.initiatorDomains;
+    }
+    if (filter.excludedInitiatorDomains.length > 0) {
+      condition.excludedInitiatorDomains = filter.excludedInitiatorDomains;
+    }
+    if (filter.matchCase) {
+      condition.isUrlFilterCaseSensitive = true;
+    }
+
+    return condition;
+  }
+
+  /**
+   * Returns null for filters with no network effect (cosmetic filters and
+   * $elemhide/$generichide-only exceptions), which are left to the content script.
+   */
+  function toDnrRule(filter, id) {
+    if (filter.type !== 'network') {
+      return null;
+    }
+
+    if (!filter.isException) {
+      return {
+        id,
+        priority: filter.important ? PRIORITY.IMPORTANT_BLOCK : PRIORITY.BLOCK,
+        action: { type: 'block' },
+        condition: toDnrCondition(filter)
+      };
+    }
+
+    if (filter.document) {
+      // allowAllRequests only accepts frame types; it then covers every subrequest
+      const condition = toDnrCondition(filter);
+      condition.resourceTypes = ['main_frame', 'sub_frame'];
+      return {
+        id,
+        priority: filter.important ? PRIORITY.IMPORTANT_EXCEPTION : PRIORITY.EXCEPTION,
+        action: { type: 'allowAllRequests' },
+        condition
+      };
+    }
+
+    if (filter.elemhide || filter.generichide) {
+      return null;
+    }
+
+    return {
+      id,
+      priority: filter.important ? PRIORITY.IMPORTANT_EXCEPTION : PRIORITY.EXCEPTION,
+      action: { type: 'allow' },
+      condition: toDnrCondition(filter)
+    };
+  }
+
+  // "||host^" with nothing after it can become a requestDomains entry
+  function getAnchoredHostname(filter) {
+    if (filter.matchCase) return null;
+    if (filter.regexSource) return null;
+    const match = filter.pattern.match(/^\|\|([a-z0-9.-]+)\^$/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  // A blocked page gets the interstitial instead of Chrome's error page, so
+  // a domain block that covers main_frame becomes a block for everything else
+  // plus a main_frame redirect. Chrome allows only 5000 dynamic redirect
+  // rules, so path and regex blocks (which can run to thousands in a
+  // downloaded list) keep a plain block and its error page; a whole domain
+  // is what a navigation is usually blocked by anyway.
+  function splitMainFrameBlock(rule) {
+    const { resourceTypes, requestDomains } = rule.condition;
+    if (rule.action.type !== 'block' || !requestDomains || !resourceTypes.includes('main_frame')) {
+      return [rule];
+    }
+
+    const redirect = {
+      ...rule,
+      action: { type: 'redirect', redirect: { extensionPath: INTERSTITIAL_PATH } },
+      condition: { ...rule.condition, resourceTypes: ['main_frame'] }
+    };
+    const others = resourceTypes.filter(type => type !== 'main_frame');
+    if (others.length === 0) return [redirect];
+
+    return [{ ...rule, condition: { ...rule.condition, resourceTypes: others } }, redirect];
+  }
+
+  /**
+   * Compile filters into DNR rules, ids left at 0 for the caller to assign.
+   * Plain "||host^" filters that share an action and options are collapsed
+   * into requestDomains lists, so thousands of domains take a handful of rules.
+   */
+  function compileDnrRules(filters, { maxDomainsPerRule = 1000 } = {}) {
+    const rules = [];
+    const domainGroups = new Map();
+
+    for (const filter of filters) {
+      const rule = toDnrRule(filter, 0);
+      if (!rule) continue;
+
+      const hostname = getAnchoredHostname(filter);
+      if (!hostname) {
+        rules.push(rule);
+        continue;
+      }
+
+      const { urlFilter, ...condition } = rule.condition;
+      const key = JSON.stringify([rule.priority, rule.action, condition]);
+      if (!domainGroups.has(key)) {
+        domainGroups.set(key, { rule: { ...rule, condition }, domains: new Set() });
+      }
+      domainGroups.get(key).domains.add(hostname);
+    }
+
+    domainGroups.forEach(({ rule, domains }) => {
+      const list = [...domains];
+      for (let i = 0; i < list.length; i += maxDomainsPerRule) {
+        rules.push({
+          ...rule,
+          condition: { ...rule.condition, requestDomains: list.slice(i, i + maxDomainsPerRule) }
+        });
+      }
+    });
+
+    return rules.flatMap(splitMainFrameBlock);
+  }
+
+  // ============================================
+  // REQUEST CONTEXT
+  // ============================================
+
+  /**
+   * Build the request context the matcher checks filter options against,
+   * from webRequest details ({ url, type, initiator }).
+   */
+  function buildRequestContext(details) {
+    const type = details.type || 'other';
+    const requestHost = hostnameFromUrl(details.url);
+    const initiatorHost = hostnameFromUrl(details.initiator);
+    const isThirdParty = !!initiatorHost &&
+      getRegistrableDomain(requestHost) !== getRegistrableDomain(initiatorHost);
+
+    // The document $document/$elemhide exceptions are tested against
+    const isFrame = type === 'main_frame' || type === 'sub_frame';
+    const documentUrl = isFrame ? details.url : (details.initiator ? details.initiator + '/' : '');
+
+    return {
+      type,
+      requestHost,
+      initiatorHost,
+      isThirdParty,
+      documentUrl
+    };
+  }
+
+  /**
+   * Mirror of how DNR evaluates the conditions produced by toDnrCondition().
+   */
+  function matchesContext(filter, context) {
+    if (!context) return true;
+
+    if (filter.resourceTypes.length > 0 && !filter.resourceTypes.includes(context.type)) {
+      return false;
+    }
+    if (filter.excludedResourceTypes.includes(context.type)) {
+      return false;
+    }
+
+    if (filter.domainType === 'thirdParty' && !context.isThirdParty) return false;
+    if (filter.domainType === 'firstParty' && context.isThirdParty) return false;
+
+    const initiator = context.initiatorHost;
+    if (filter.initiatorDomains.length > 0) {
+      if (!initiator || !filter.initiatorDomains.some(d => isSameOrSubdomain(initiator, d))) {
+        return false;
+      }
+    }
+    if (initiator && filter.excludedInitiatorDomains.some(d => isSameOrSubdomain(initiator, d))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  return {
+    ALL_RESOURCE_TYPES,
+    PRIORITY,
+    LIST_FORMATS,
+    INTERSTITIAL_PATH,
+    getRegistrableDomain,
+    isSameOrSubdomain,
+    hostnameFromUrl,
+    parseFilterLine,
+    checkRegexSource,
+    detectListFormat,
+    toDnrCondition,
+    toDnrRule,
+    compileDnrRules,
+    buildRequestContext,
+    matchesContext
+  };
+});
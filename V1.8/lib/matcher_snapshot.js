@@ -0,0 +1,217 @@
+// ============================================
+// MATCHER_SNAPSHOT.JS
+// Parsed filters packed into one binary buffer, so the service worker can
+// rebuild its matcher without re-parsing and re-categorizing a whole list.
+// ad_blocker_converter.js writes one per packaged list (via require) and
+// background.js caches one per downloaded list (via importScripts).
+//
+// Layout: a 4-word header (magic, format version, word count, string bytes),
+// the filters as Uint32 words (each with its list line number), then every
+// string UTF-8 encoded and joined with "\n". Strings are referenced by index
+// and stored once.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filter_parser'));
+  } else {
+    root.MatcherSnapshot = factory(root.FilterParser);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FilterParser) {
+
+  const MAGIC = 0x4d344241; // "AB4M"
+  // Bump whenever the layout or the meaning of a parsed filter changes
+  const FORMAT_VERSION = 4;
+  const HEADER_WORDS = 4;
+  const NO_STRING = 0xffffffff;
+  // Most filters have no options; sharing one frozen array keeps decoding allocation-light
+  const EMPTY = Object.freeze([]);
+
+  const FLAGS = {
+    COSMETIC: 1,
+    EXCEPTION: 2,
+    MATCH_CASE: 4,
+    IMPORTANT: 8,
+    DOCUMENT: 16,
+    ELEMHIDE: 32,
+    GENERICHIDE: 64,
+    FIRST_PARTY: 128,
+    THIRD_PARTY: 256,
+    REGEX: 512
+  };
+
+  function typesToMask(types) {
+    return types.reduce((mask, type) => mask | (1 << FilterParser.ALL_RESOURCE_TYPES.indexOf(type)), 0);
+  }
+
+  // Lists reuse a handful of type combinations, so each is only expanded once
+  const typesByMask = new Map();
+
+  function maskToTypes(mask) {
+    if (mask === 0) return EMPTY;
+    if (!typesByMask.has(mask)) {
+      typesByMask.set(mask, FilterParser.ALL_RESOURCE_TYPES.filter((type, i) => mask & (1 << i)));
+    }
+    return typesByMask.get(mask).slice();
+  }
+
+  /**
+   * entries are { filter, category, line } for parsed network and cosmetic
+   * filters (category is ignored for cosmetic ones). Returns a Uint8Array.
+   */
+  function encode(entries) {
+    const strings = [];
+    const stringIndex = new Map();
+    const words = [];
+
+    const str = (value) => {
+      if (value === null || value === undefined) return NO_STRING;
+      if (!stringIndex.has(value)) {
+        stringIndex.set(value, strings.length);
+        strings.push(value);
+      }
+      return stringIndex.get(value);
+    };
+    const list = (values) => {
+      words.push(values.length);
+      values.forEach(value => words.push(str(value)));
+    };
+
+    for (const { filter, category, line } of entries) {
+      if (filter.type === 'cosmetic') {
+        words.push(FLAGS.COSMETIC | (filter.isException ? FLAGS.EXCEPTION : 0), line || 0,
+          str(filter.selector), str(filter.raw));
+        list(filter.domains);
+        list(filter.excludedDomains);
+        continue;
+      }
+
+      const flags = (filter.isException ? FLAGS.EXCEPTION : 0) |
+        (filter.matchCase ? FLAGS.MATCH_CASE : 0) |
+        (filter.important ? FLAGS.IMPORTANT : 0) |
+        (filter.document ? FLAGS.DOCUMENT : 0) |
+        (filter.elemhide ? FLAGS.ELEMHIDE : 0) |
+        (filter.generichide ? FLAGS.GENERICHIDE : 0) |
+        (filter.domainType === 'firstParty' ? FLAGS.FIRST_PARTY : 0) |
+        (filter.domainType === 'thirdParty' ? FLAGS.THIRD_PARTY : 0) |
+        (filter.regexSource ? FLAGS.REGEX : 0);
+
+      words.push(flags, line || 0, str(filter.pattern), str(filter.raw), str(category),
+        typesToMask(filter.resourceTypes), typesToMask(filter.excludedResourceTypes));
+      list(filter.initiatorDomains);
+      list(filter.excludedInitiatorDomains);
+    }
+
+    const stringBytes = new TextEncoder().encode(strings.join('\n'));
+    const buffer = new ArrayBuffer((HEADER_WORDS + words.length) * 4 + stringBytes.length);
+    const header = new Uint32Array(buffer, 0, HEADER_WORDS + words.length);
+    header.set([MAGIC, FORMAT_VERSION, words.length, stringBytes.length]);
+    header.set(words, HEADER_WORDS);
+    new Uint8Array(buffer, (HEADER_WORDS + words.length) * 4).set(stringBytes);
+
+    return new Uint8Array(buffer);
+  }
+
+  // Returns the { filter, category, line } entries encode() was given; throws on a foreign or stale buffer
+  function decode(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    // Uint32Array needs 4-byte alignment, which a slice of a larger buffer may lack
+    const buffer = view.byteOffset % 4 === 0 ? view.buffer : view.slice().buffer;
+    const offset = view.byteOffset % 4 === 0 ? view.byteOffset : 0;
+
+    const header = new Uint32Array(buffer, offset, HEADER_WORDS);
+    if (header[0] !== MAGIC || header[1] !== FORMAT_VERSION) {
+      throw new Error('Not a current matcher snapshot');
+    }
+
+    const wordCount = header[2];
+    const words = new Uint32Array(buffer, offset + HEADER_WORDS * 4, wordCount);
+    const stringStart = offset + (HEADER_WORDS + wordCount) * 4;
+    const strings = new TextDecoder().decode(new Uint8Array(buffer, stringStart, header[3])).split('\n');
+
+    const entries = [];
+    let i = 0;
+    const str = () => {
+      const index = words[i++];
+      return index === NO_STRING ? null : strings[index];
+    };
+    const list = () => {
+      const count = words[i++];
+      if (count === 0) return EMPTY;
+      const values = [];
+      for (let n = 0; n < count; n++) values.push(str());
+      return values;
+    };
+
+    while (i < wordCount) {
+      const flags = words[i++];
+      const line = words[i++] || null;
+
+      if (flags & FLAGS.COSMETIC) {
+        const selector = str();
+        const raw = str();
+        entries.push({
+          filter: {
+            type: 'cosmetic',
+            raw,
+            selector,
+            isException: !!(flags & FLAGS.EXCEPTION),
+            domains: list(),
+            excludedDomains: list()
+          },
+          category: null,
+          line
+        });
+        continue;
+      }
+
+      const pattern = str();
+      const raw = str();
+      const category = str();
+      const resourceTypes = maskToTypes(words[i++]);
+      const excludedResourceTypes = maskToTypes(words[i++]);
+
+      entries.push({
+        filter: {
+          type: 'network',
+          raw,
+          pattern,
+          // The pattern is the regex between its slashes
+          regexSource: flags & FLAGS.REGEX ? pattern.slice(1, -1) : null,
+          isException: !!(flags & FLAGS.EXCEPTION),
+          resourceTypes,
+          excludedResourceTypes,
+          domainType: flags & FLAGS.FIRST_PARTY ? 'firstParty' : flags & FLAGS.THIRD_PARTY ? 'thirdParty' : null,
+          initiatorDomains: list(),
+          excludedInitiatorDomains: list(),
+          matchCase: !!(flags & FLAGS.MATCH_CASE),
+          important: !!(flags & FLAGS.IMPORTANT),
+          document: !!(flags & FLAGS.DOCUMENT),
+          elemhide: !!(flags & FLAGS.ELEMHIDE),
+          generichide: !!(flags & FLAGS.GENERICHIDE)
+        },
+        category,
+        line
+      });
+    }
+
+    return entries;
+  }
+
+  // FNV-1a over the list text; tells whether a cached snapshot still matches stored content
+  function hashContent(content) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+      hash ^= content.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `${content.length}:${(hash >>> 0).toString(16)}`;
+  }
+
+  return {
+    FORMAT_VERSION,
+    encode,
+    decode,
+    hashContent
+  };
+});
@@ -0,0 +1,186 @@
+// ============================================
+// MIGRATIONS.JS
+// Versioned changes to what chrome.storage.local holds. schemaVersion records
+// the last migration applied; background.js runs the rest, in order, when the
+// worker starts (which covers install, update and browser startup) and holds
+// back everything else that reads storage until they are done.
+//
+// A change to the shape of stored data (the per-tab log, a new stats bucket,
+// a renamed key) ships as a new entry at the end of MIGRATIONS instead of
+// fallbacks in the code that reads it. Each entry is
+//   { version, description, keys, migrate(data) }
+// where migrate gets the current values of `keys` and returns
+// { set: {...}, remove: [...] }, either part optional. It has to be
+// idempotent: run on data it has already migrated, it changes nothing. Its
+// constants are the ones in force when it was written, so they are copied
+// here rather than shared with code that may change them later.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Migrations = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+  // Fill in keys that are missing, keep the ones that are there
+  function defaults(data, values) {
+    const set = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (data[key] === undefined) set[key] = value;
+    });
+    return { set };
+  }
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Profile and settings defaults that onInstalled used to write',
+      keys: ['totalBlockedAllTime', 'showBadge', 'userLevel', 'ownedAvatars', 'equippedAvatar',
+        'adBlockerEnabled', 'dailyStreak', 'lastActiveDate'],
+      migrate: data => defaults(data, {
+        totalBlockedAllTime: 0,
+        showBadge: true,
+        userLevel: 1,
+        ownedAvatars: ['avatar_default'],
+        equippedAvatar: '👤',
+        adBlockerEnabled: true,
+        dailyStreak: 0,
+        lastActiveDate: ''
+      })
+    },
+    {
+      // Installs from before these were stored only kept the block count;
+      // the figures are the per-block rates of that time
+      version: 2,
+      description: 'Back-fill XP, coins and time and data saved from the total blocked count',
+      keys: ['totalBlockedAllTime', 'userXP', 'userCoins', 'totalTimeSaved', 'totalDataSaved'],
+      migrate: (data) => {
+        const blocked = data.totalBlockedAllTime || 0;
+        return defaults(data, {
+          userXP: blocked * 3,
+          userCoins: blocked * 1,
+          totalTimeSaved: blocked * 0.12,
+          totalDataSaved: Math.round(blocked * 50)
+        });
+      }
+    },
+    {
+      // The level is worked out from XP wherever it is shown, and nothing
+      // kept the stored copy in step once the popup stopped rewriting it
+      version: 3,
+      description: 'Drop the stored level, which is derived from XP',
+      keys: ['userLevel'],
+      migrate: data => (data.userLevel === undefined ? {} : { remove: ['userLevel'] })
+    },
+    {
+      // Trackers and companies listed up to 100 sites each; they now keep a
+      // sample of 5, and siteCount goes on from the count the lists gave
+      version: 4,
+      description: 'Cut the site lists in the site stats down to a sample',
+      keys: ['siteStats'],
+      migrate: (data) => {
+        const stats = data.siteStats;
+        const tables = ['trackers', 'entities'].filter(table => stats && stats[table]);
+        const long = entry => Array.isArray(entry.sites) && entry.sites.length > 5;
+        if (!tables.some(table => Object.values(stats[table]).some(long))) return {};
+
+        const siteStats = { ...stats };
+        tables.forEach((table) => {
+          siteStats[table] = {};
+          Object.entries(stats[table]).forEach(([key, entry]) => {
+            siteStats[table][key] = long(entry) ? { ...entry, sites: entry.sites.slice(0, 5) } : entry;
+          });
+        });
+        return { set: { siteStats } };
+      }
+    }
+  ];
+
+  // Versions start at 1 and go up by one, so none can be skipped or run twice
+  function checkRegistry(migrations) {
+    migrations.forEach((migration, i) => {
+      if (migration.version !== i + 1) {
+        throw new Error(`Migration ${i + 1} is declared as version ${migration.version}`);
+      }
+    });
+  }
+
+  checkRegistry(MIGRATIONS);
+
+  /**
+   * Bring storage up to date. storage is a chrome.storage area, or anything
+   * else with promise-returning get(keys), set(items) and remove(keys).
+   * schemaVersion moves on after each migration's changes are written, so
+   * one that fails part way runs again next time, which idempotence allows.
+   * Resolves to { from, to, applied: [versions] }.
+   */
+  async function migrate(storage, migrations = MIGRATIONS) {
+    checkRegistry(migrations);
+
+    const stored = await storage.get([SCHEMA_VERSION_KEY]);
+    const from = stored[SCHEMA_VERSION_KEY] || 0;
+    const latest = migrations.length;
+
+    // Data from a newer build is left alone rather than guessed at
+    if (from > latest) {
+      return { from, to: from, applied: [] };
+    }
+
+    const applied = [];
+    for (const migration of migrations.slice(from)) {
+      const data = await storage.get(migration.keys);
+      const { set = {}, remove = [] } = migration.migrate(data) || {};
+
+      if (remove.length > 0) {
+        await storage.remove(remove);
+      }
+      await storage.set({ ...set, [SCHEMA_VERSION_KEY]: migration.version });
+      applied.push(migration.version);
+    }
+
+    return { from, to: latest, applied };
+  }
+
+  // A storage area over a plain object, for data that isn't in chrome.storage
+  function memoryStorage(values) {
+    return {
+      get: async (keys) => {
+        const result = {};
+        keys.forEach(key => {
+          if (values[key] !== undefined) result[key] = values[key];
+        });
+        return result;
+      },
+      set: async (items) => {
+        Object.assign(values, items);
+      },
+      remove: async (keys) => {
+        keys.forEach(key => delete values[key]);
+      }
+    };
+  }
+
+  /**
+   * Bring a { key: value } snapshot taken at schema version `from` (a backup,
+   * say) up to date the same way, without touching storage. Resolves to the
+   * migrated copy; `data` itself is left as it was.
+   */
+  async function migrateData(data, from, migrations = MIGRATIONS) {
+    const values = { ...data, [SCHEMA_VERSION_KEY]: from };
+    await migrate(memoryStorage(values), migrations);
+    delete values[SCHEMA_VERSION_KEY];
+    return values;
+  }
+
+  return {
+    SCHEMA_VERSION_KEY,
+    LATEST_VERSION: MIGRATIONS.length,
+    MIGRATIONS,
+    migrate,
+    migrateData
+  };
+});
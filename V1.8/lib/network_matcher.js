@@ -0,0 +1,304 @@
+// ============================================
+// NETWORK_MATCHER.JS
+// Matches request URLs against parsed network filters the way ABP (and DNR)
+// read them. Loaded into background.js with importScripts; tools/ requires it.
+//
+// "||host^" filters go into a hostname map that is probed with each label
+// suffix of the request host. Every other pattern is compiled to a RegExp and
+// filed under one token it is guaranteed to contain, so a URL only tests the
+// patterns that share one of its tokens. /regex/ filters are compiled up front
+// and tested against every URL.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filter_parser'));
+  } else {
+    root.NetworkMatcher = factory(root.FilterParser).NetworkMatcher;
+  }
+})(typeof self !== 'undefined' ? self : this, function (FilterParser) {
+
+  const HOST_FILTER_RE = /^\|\|([a-z0-9.-]+)\^$/;
+  const URL_HOST_RE = /^[a-z][a-z0-9+.-]*:\/\/(?:[^\/?#@]*@)?([^\/?#:]*)/i;
+  const TOKEN_RE = /[a-z0-9%]+/g;
+  // Too common in URLs to narrow anything down
+  const WEAK_TOKENS = new Set(['http', 'https', 'www', 'com', 'net', 'org', 'js', 'html', 'php']);
+
+  // ^ is any character other than a letter, digit, _ - . % - or the end of the URL
+  const SEPARATOR_SOURCE = '(?:[^\\w.%-]|$)';
+  // || is the start of the host or of any of its subdomains
+  const HOST_ANCHOR_SOURCE = '^[a-z][a-z0-9+.-]*:\\/+(?:[^\\/?#]*\\.)?';
+
+  function compilePattern(pattern, matchCase) {
+    let body = pattern;
+    let prefix = '';
+    let suffix = '';
+
+    if (body.startsWith('||')) {
+      prefix = HOST_ANCHOR_SOURCE;
+      body = body.substring(2);
+    } else if (body.startsWith('|')) {
+      prefix = '^';
+      body = body.substring(1);
+    }
+    if (body.endsWith('|')) {
+      suffix = '$';
+      body = body.substring(0, body.length - 1);
+    }
+
+    // Leading and trailing wildcards add nothing to an unanchored search
+    if (!prefix) body = body.replace(/^\*+/, '');
+    if (!suffix) body = body.replace(/\*+$/, '');
+
+    let source = '';
+    for (const char of body.replace(/\*+/g, '*')) {
+      if (char === '*') {
+        source += '.*';
+      } else if (char === '^') {
+        source += SEPARATOR_SOURCE;
+      } else {
+        source += char.replace(/[.+?${}()|[\]\\\/]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(prefix + source + suffix, matchCase ? '' : 'i');
+  }
+
+  /**
+   * Pick the token a URL must contain for the pattern to match, or null.
+   * A token only counts when the pattern pins both of its ends to a
+   * non-token character (or an anchor); next to a wildcard or an open end it
+   * could be part of a longer token in the URL.
+   */
+  function getPatternToken(pattern) {
+    let body = pattern;
+    let anchoredStart = false;
+    let anchoredEnd = false;
+
+    if (body.startsWith('||')) {
+      anchoredStart = true;
+      body = body.substring(2);
+    } else if (body.startsWith('|')) {
+      anchoredStart = true;
+      body = body.substring(1);
+    }
+    if (body.endsWith('|')) {
+      anchoredEnd = true;
+      body = body.substring(0, body.length - 1);
+    }
+
+    body = body.toLowerCase();
+    let best = null;
+    let match;
+    TOKEN_RE.lastIndex = 0;
+
+    while ((match = TOKEN_RE.exec(body)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+
+      if (start === 0 ? !anchoredStart : body[start - 1] === '*') continue;
+      if (end === body.length ? !anchoredEnd : body[end] === '*') continue;
+
+      const token = match[0];
+      const weak = WEAK_TOKENS.has(token) || token.length < 2;
+      const bestWeak = best && (WEAK_TOKENS.has(best) || best.length < 2);
+      if (!best || (bestWeak && !weak) || (weak === bestWeak && token.length > best.length)) {
+        best = token;
+      }
+    }
+
+    return best;
+  }
+
+  function getUrlTokens(url) {
+    return new Set(url.toLowerCase().match(TOKEN_RE) || []);
+  }
+
+  function getUrlHost(url) {
+    const match = url.match(URL_HOST_RE);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  // ============================================
+  // FILTER INDEX
+  // ============================================
+  class FilterIndex {
+    constructor() {
+      this.hosts = new Map();
+      this.tokens = new Map();
+      this.untokenized = [];
+      this.size = 0;
+    }
+
+    add(filter, category, source) {
+      const entry = { filter, category, listId: source.listId, line: source.line, regex: null };
+      const hostMatch = filter.matchCase ? null : filter.pattern.toLowerCase().match(HOST_FILTER_RE);
+
+      if (filter.regexSource) {
+        // The parser already checked that it compiles
+        entry.regex = new RegExp(filter.regexSource, filter.matchCase ? '' : 'i');
+        this.untokenized.push(entry);
+      } else if (hostMatch) {
+        this._push(this.hosts, hostMatch[1], entry);
+      } else {
+        const token = getPatternToken(filter.pattern);
+        if (token) {
+          this._push(this.tokens, token, entry);
+        } else {
+          this.untokenized.push(entry);
+        }
+      }
+      this.size++;
+    }
+
+    _push(map, key, entry) {
+      const list = map.get(key);
+      if (list) {
+        list.push(entry);
+      } else {
+        map.set(key, [entry]);
+      }
+    }
+
+    // request comes from NetworkMatcher._prepare(); returns the first entry accept() takes
+    find(request, context, accept) {
+      let suffix = request.host;
+      while (suffix) {
+        const found = this._check(this.hosts.get(suffix), request, context, accept, false);
+        if (found) return found;
+
+        const dot = suffix.indexOf('.');
+        suffix = dot === -1 ? '' : suffix.substring(dot + 1);
+      }
+
+      for (const token of request.tokens) {
+        const found = this._check(this.tokens.get(token), request, context, accept, true);
+        if (found) return found;
+      }
+
+      return this._check(this.untokenized, request, context, accept, true);
+    }
+
+    _check(entries, request, context, accept, testPattern) {
+      if (!entries) return null;
+
+      for (const entry of entries) {
+        if (!accept(entry)) continue;
+
+        if (testPattern) {
+          // Compiled on first use; most patterns are never tested at all
+          if (!entry.regex) {
+            entry.regex = compilePattern(entry.filter.pattern, entry.filter.matchCase);
+          }
+          if (!entry.regex.test(request.url)) continue;
+        }
+
+        if (FilterParser.matchesContext(entry.filter, context)) {
+          return entry;
+        }
+      }
+      return null;
+    }
+  }
+
+  // ============================================
+  // MATCHER
+  // ============================================
+  class NetworkMatcher {
+    constructor() {
+      this.blocks = new FilterIndex();
+      // @@ filters are only consulted once a block matched
+      this.exceptions = new FilterIndex();
+      this.importantCount = 0;
+    }
+
+    get patternCount() {
+      return this.blocks.size;
+    }
+
+    get exceptionCount() {
+      return this.exceptions.size;
+    }
+
+    // filter is a parsed network filter from FilterParser.parseFilterLine();
+    // source says where it came from: { listId, line }
+    insert(filter, category = null, source = {}) {
+      const origin = { listId: source.listId ?? null, line: source.line ?? null };
+      if (filter.important) this.importantCount++;
+
+      if (filter.isException) {
+        this.exceptions.add(filter, null, origin);
+      } else {
+        this.blocks.add(filter, category, origin);
+      }
+    }
+
+    _prepare(url) {
+      return { url, host: getUrlHost(url), tokens: getUrlTokens(url) };
+    }
+
+    // context comes from FilterParser.buildRequestContext(); without one, options are ignored.
+    // Returns { matched: true, category, rule, pattern, important, listId, line } for a block,
+    // { matched: false, allowed: true, rule, pattern, important, listId, line, category, blockedBy }
+    // when an @@ filter overrides it (blockedBy describes the overridden block), or
+    // null when nothing applies. rule is the filter's original text.
+    matches(url, context = null) {
+      const request = this._prepare(url);
+
+      // An AdGuard $important block can only be undone by an $important exception, as in DNR
+      const important = this.importantCount > 0
+        ? this.blocks.find(request, context, entry => entry.filter.important)
+        : null;
+      const blocked = important || this.blocks.find(request, context, entry => true);
+      if (!blocked) return null;
+
+      const documentUrl = context?.documentUrl;
+      const pageException = documentUrl ? this._findPageExceptionEntry(documentUrl, 'document') : null;
+      const exception = pageException && (!important || pageException.filter.important)
+        ? pageException
+        : this.exceptions.find(request, context,
+          entry => (!important || entry.filter.important) &&
+            !entry.filter.document && !entry.filter.elemhide && !entry.filter.generichide);
+
+      if (exception) {
+        return {
+          matched: false,
+          allowed: true,
+          ...describeEntry(exception),
+          category: blocked.category,
+          blockedBy: describeEntry(blocked)
+        };
+      }
+
+      return { matched: true, category: blocked.category, ...describeEntry(blocked) };
+    }
+
+    /**
+     * Find a page-level exception for a document URL.
+     * kind is 'document', 'elemhide' or 'generichide'; each kind is implied by the ones before it.
+     */
+    findPageException(documentUrl, kind) {
+      const entry = this._findPageExceptionEntry(documentUrl, kind);
+      return entry ? entry.filter : null;
+    }
+
+    _findPageExceptionEntry(documentUrl, kind) {
+      return this.exceptions.find(this._prepare(documentUrl), null, ({ filter }) =>
+        filter.document ||
+        (kind !== 'document' && filter.elemhide) ||
+        (kind === 'generichide' && filter.generichide));
+    }
+  }
+
+  function describeEntry(entry) {
+    return {
+      rule: entry.filter.raw,
+      pattern: entry.filter.pattern,
+      important: !!entry.filter.important,
+      listId: entry.listId,
+      line: entry.line
+    };
+  }
+
+  return { NetworkMatcher, compilePattern, getPatternToken };
+});
@@ -0,0 +1,188 @@
+// ============================================
+// PRIVACY_HEADERS.JS
+// Header-level protections, each built as DNR modifyHeaders rules that
+// background.js installs as dynamic rules. A header rule can only write
+// fixed values, so cross-site Referer trimming is a session rule per tab
+// instead, built for the page the tab shows (see createRefererRule).
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filter_parser'));
+  } else {
+    root.PrivacyHeaders = factory(root.FilterParser);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FilterParser) {
+
+  const PROTECTIONS = [
+    {
+      id: 'trimReferer',
+      label: 'Trim Cross-Site Referer',
+      description: 'Other sites only learn which site you came from, not the page',
+      defaultEnabled: true
+    },
+    {
+      id: 'stripTrackerCookies',
+      label: 'Strip Tracker Cookies',
+      description: 'Known trackers that aren\'t blocked get no cookies on other sites. May sign you out of embedded widgets',
+      defaultEnabled: false
+    },
+    {
+      id: 'sendGpc',
+      label: 'Global Privacy Control',
+      description: 'Sends Sec-GPC: 1, asking sites not to sell or share your data',
+      defaultEnabled: true
+    },
+    {
+      id: 'sendDnt',
+      label: 'Do Not Track',
+      description: 'Also sends the older DNT: 1 header',
+      defaultEnabled: false
+    }
+  ];
+
+  // Taxonomy categories whose domains count as trackers for cookie stripping
+  const TRACKER_CATEGORIES = ['Advertising', 'Analytics', 'Social', 'Fingerprinting'];
+
+  // Header rules must also apply to requests an @@ filter lets through, but
+  // not on a paused site, whose allowAllRequests rule outranks them
+  const PRIORITY = FilterParser.PRIORITY.IMPORTANT_EXCEPTION + 1;
+
+  const REFERRER_POLICIES = ['no-referrer', 'no-referrer-when-downgrade', 'origin', 'origin-when-cross-origin',
+    'same-origin', 'strict-origin', 'strict-origin-when-cross-origin', 'unsafe-url'];
+  // What Chrome uses when the page doesn't say
+  const DEFAULT_REFERRER_POLICY = 'strict-origin-when-cross-origin';
+  // Policies that send other sites more than the page's origin. Every other
+  // one sends at most the origin already, and setting a Referer there could
+  // add one the page asked not to send.
+  const FULL_URL_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+
+  // stored is the privacyHeaders object from storage; missing toggles take their default
+  function resolveSettings(stored = {}) {
+    const settings = {};
+    for (const protection of PROTECTIONS) {
+      settings[protection.id] = typeof stored[protection.id] === 'boolean'
+        ? stored[protection.id]
+        : protection.defaultEnabled;
+    }
+    return settings;
+  }
+
+  function modifyHeaders(headers, condition) {
+    return {
+      priority: PRIORITY,
+      action: { type: 'modifyHeaders', ...headers },
+      condition
+    };
+  }
+
+  const RULE_BUILDERS = {
+    // Built per tab by createRefererRule
+    trimReferer: () => [],
+
+    stripTrackerCookies: (trackerDomains) => trackerDomains.length === 0 ? [] : [
+      modifyHeaders({
+        requestHeaders: [{ header: 'Cookie', operation: 'remove' }],
+        responseHeaders: [{ header: 'Set-Cookie', operation: 'remove' }]
+      }, {
+        requestDomains: trackerDomains,
+        domainType: 'thirdParty',
+        resourceTypes: FilterParser.ALL_RESOURCE_TYPES
+      })
+    ],
+
+    sendGpc: () => [
+      modifyHeaders({
+        requestHeaders: [{ header: 'Sec-GPC', operation: 'set', value: '1' }]
+      }, { resourceTypes: FilterParser.ALL_RESOURCE_TYPES })
+    ],
+
+    sendDnt: () => [
+      modifyHeaders({
+        requestHeaders: [{ header: 'DNT', operation: 'set', value: '1' }]
+      }, { resourceTypes: FilterParser.ALL_RESOURCE_TYPES })
+    ]
+  };
+
+  /**
+   * DNR rules (without ids) for every enabled protection, each tagged with
+   * the protection it belongs to: [{ protection, rule }].
+   */
+  function createRules(settings, trackerDomains) {
+    return PROTECTIONS
+      .filter(protection => settings[protection.id])
+      .flatMap(protection => RULE_BUILDERS[protection.id](trackerDomains)
+        .map(rule => ({ protection: protection.id, rule })));
+  }
+
+  // The policy a Referrer-Policy header puts in force: the last one listed
+  // that the browser knows
+  function parseReferrerPolicy(header) {
+    const policies = String(header || '').split(',')
+      .map(policy => policy.trim().toLowerCase())
+      .filter(policy => REFERRER_POLICIES.includes(policy));
+    return policies[policies.length - 1] || DEFAULT_REFERRER_POLICY;
+  }
+
+  /**
+   * The trimReferer rule (without an id) for a tab showing pageUrl, served
+   * with the given Referrer-Policy header: requests the page makes to other
+   * sites carry only its origin, same-site ones keep what the page sends.
+   * Frames on subdomains of the page count as the page. null when the page's
+   * own policy never sends other sites more than the origin.
+   */
+  function createRefererRule(tabId, pageUrl, referrerPolicy) {
+    const policy = parseReferrerPolicy(referrerPolicy);
+    if (!FULL_URL_REFERRER_POLICIES.includes(policy)) return null;
+
+    let page;
+    try {
+      page = new URL(pageUrl);
+    } catch (e) {
+      return null;
+    }
+    if (page.protocol !== 'https:' && page.protocol !== 'http:') return null;
+
+    const condition = {
+      tabIds: [tabId],
+      initiatorDomains: [page.hostname],
+      domainType: 'thirdParty',
+      resourceTypes: FilterParser.ALL_RESOURCE_TYPES
+    };
+    // That policy sends nothing from an https page to an http URL; keep it so
+    if (policy === 'no-referrer-when-downgrade' && page.protocol === 'https:') {
+      condition.urlFilter = '|https:';
+    }
+
+    return modifyHeaders({
+      requestHeaders: [{ header: 'Referer', operation: 'set', value: `${page.origin}/` }]
+    }, condition);
+  }
+
+  // Registrable domains (and the more specific hostnames) the taxonomy files under a tracker category
+  function getTrackerDomains(taxonomy) {
+    return [...taxonomy.domains]
+      .filter(([, category]) => TRACKER_CATEGORIES.includes(category))
+      .map(([domain]) => domain);
+  }
+
+  // "Sec-GPC: 1", "remove Cookie" and so on, for showing a rule to the user
+  function describeRule(rule) {
+    const describe = (direction) => ({ header, operation, value }) =>
+      operation === 'remove' ? `remove ${direction} ${header}` : `${header}: ${value}`;
+
+    return [
+      ...(rule.action.requestHeaders || []).map(describe('request')),
+      ...(rule.action.responseHeaders || []).map(describe('response'))
+    ];
+  }
+
+  return {
+    PROTECTIONS,
+    resolveSettings,
+    createRules,
+    createRefererRule,
+    getTrackerDomains,
+    describeRule
+  };
+});
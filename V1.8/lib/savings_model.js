@@ -0,0 +1,169 @@
+// ============================================
+// SAVINGS_MODEL.JS
+// How much data and time a blocked request would have cost. A blocked request
+// never downloads, so its size is estimated from what similar requests that
+// did go through cost:
+//   1. the same hostname and resource type, once it has MIN_SAMPLES responses
+//   2. any host's responses of that resource type seen in this browser
+//   3. TYPE_DEFAULTS, typical sizes and latencies for each resource type
+// Every estimate says which of these it came from (its basis), so the popup
+// can explain the totals.
+//
+// Samples come from webRequest.onCompleted: the Content-Length header and
+// the time from onBeforeRequest to completion. Chrome fetches about six
+// requests per host at once, so only a share of each latency counts as time
+// saved rather than the whole of it.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SavingsModel = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // Typical transfer size (KB) and latency (ms) per resource type
+  const TYPE_DEFAULTS = {
+    main_frame: { kb: 80, ms: 600 },
+    sub_frame: { kb: 60, ms: 400 },
+    script: { kb: 25, ms: 150 },
+    stylesheet: { kb: 10, ms: 100 },
+    image: { kb: 12, ms: 80 },
+    font: { kb: 25, ms: 100 },
+    media: { kb: 400, ms: 500 },
+    object: { kb: 40, ms: 200 },
+    xmlhttprequest: { kb: 3, ms: 120 },
+    ping: { kb: 0.1, ms: 60 },
+    websocket: { kb: 1, ms: 150 },
+    csp_report: { kb: 0.1, ms: 60 },
+    other: { kb: 5, ms: 100 }
+  };
+
+  const PARALLEL_REQUESTS = 6;
+  const MIN_SAMPLES = 3;
+  // Running means weigh at most this many samples, so they follow changes
+  const MAX_WEIGHT = 50;
+  const MAX_HOSTS = 2000;
+  const PRUNE_TO = 1800;
+
+  const BASIS = {
+    HOST: 'host',
+    TYPE: 'type',
+    DEFAULT: 'default'
+  };
+
+  const BASIS_LABELS = {
+    host: 'measured from the same site\'s responses',
+    type: 'measured from responses of the same type',
+    default: 'typical size for the resource type'
+  };
+
+  // samples = { hosts: { 'host|type': mean }, types: { type: mean } } with
+  // mean = { kb, ms, n, msN, seen }: msN counts the samples that had a timing
+  function createSamples() {
+    return { hosts: {}, types: {} };
+  }
+
+  function typeOf(type) {
+    return TYPE_DEFAULTS[type] ? type : 'other';
+  }
+
+  function updateMean(mean, kb, ms, now) {
+    const result = mean || { kb: 0, ms: 0, n: 0, msN: 0, seen: now };
+    result.n++;
+    result.kb += (kb - result.kb) / Math.min(result.n, MAX_WEIGHT);
+    if (ms !== null) {
+      result.msN = (result.msN || 0) + 1;
+      result.ms += (ms - result.ms) / Math.min(result.msN, MAX_WEIGHT);
+    }
+    result.seen = now;
+    return result;
+  }
+
+  function prune(hosts) {
+    const keys = Object.keys(hosts);
+    if (keys.length <= MAX_HOSTS) return;
+
+    keys
+      .sort((a, b) => hosts[a].seen - hosts[b].seen)
+      .slice(0, keys.length - PRUNE_TO)
+      .forEach(key => delete hosts[key]);
+  }
+
+  /**
+   * Add one completed response (mutates and returns samples). bytes is the
+   * Content-Length; ms is null when the start of the request wasn't seen.
+   */
+  function observe(samples, { host, type, bytes, ms = null, now = Date.now() }) {
+    const result = samples && samples.hosts ? samples : createSamples();
+    const resourceType = typeOf(type);
+    const kb = bytes / 1024;
+
+    const key = `${host}|${resourceType}`;
+    result.hosts[key] = updateMean(result.hosts[key], kb, ms, now);
+    result.types[resourceType] = updateMean(result.types[resourceType], kb, ms, now);
+
+    prune(result.hosts);
+    return result;
+  }
+
+  function pick(mean, field) {
+    return mean && (field === 'kb' ? mean.n : mean.msN) >= MIN_SAMPLES ? mean[field] : null;
+  }
+
+  /**
+   * What blocking one request saved: { kb, seconds, basis }. The basis is
+   * the most specific source that has enough samples for the size.
+   */
+  function estimate(samples, host, type) {
+    const resourceType = typeOf(type);
+    const hostMean = samples && samples.hosts ? samples.hosts[`${host}|${resourceType}`] : null;
+    const typeMean = samples && samples.types ? samples.types[resourceType] : null;
+    const defaults = TYPE_DEFAULTS[resourceType];
+
+    const hostKb = pick(hostMean, 'kb');
+    const typeKb = pick(typeMean, 'kb');
+    const basis = hostKb !== null ? BASIS.HOST : typeKb !== null ? BASIS.TYPE : BASIS.DEFAULT;
+
+    const kb = hostKb !== null ? hostKb : typeKb !== null ? typeKb : defaults.kb;
+    const ms = [pick(hostMean, 'ms'), pick(typeMean, 'ms'), defaults.ms].find(value => value !== null);
+
+    return {
+      kb: Math.round(kb * 100) / 100,
+      seconds: Math.round(ms / PARALLEL_REQUESTS) / 1000,
+      basis
+    };
+  }
+
+  /**
+   * Sentences for the popup explaining the totals, given the stored
+   * { host, type, default } counts of how each block was estimated.
+   */
+  function explain(basisCounts = {}) {
+    const total = Object.values(basisCounts).reduce((sum, count) => sum + count, 0);
+    const lines = [
+      'Blocked requests never download, so each one is priced by what similar requests that did load in this browser cost (their Content-Length and load time), or by a typical size for its type until enough have been seen.',
+      `Time saved counts 1/${PARALLEL_REQUESTS} of each request's load time, since Chrome loads about ${PARALLEL_REQUESTS} requests per site at once.`
+    ];
+
+    if (total > 0) {
+      const shares = Object.keys(BASIS_LABELS)
+        .filter(basis => basisCounts[basis] > 0)
+        .map(basis => `${Math.round(basisCounts[basis] / total * 100)}% ${BASIS_LABELS[basis]}`);
+      lines.push(`Of ${total.toLocaleString()} estimated blocks: ${shares.join(', ')}.`);
+    }
+
+    return lines;
+  }
+
+  return {
+    TYPE_DEFAULTS,
+    BASIS,
+    BASIS_LABELS,
+    createSamples,
+    observe,
+    estimate,
+    explain
+  };
+});
@@ -0,0 +1,167 @@
+// ============================================
+// SITE_STATS.JS
+// Cross-session totals per first-party site and per blocked third-party
+// domain, both keyed by registrable domain, and per company (see
+// entities.js), for the Top Sites / Top Trackers and Who's Watching pages.
+// background.js folds the same event batches it gives StatsHistory into the
+// siteStats storage object; the popup pages only read it.
+//
+// siteStats = {
+//   sites:    { 'news.example': { total, categories, firstSeen, lastSeen } },
+//   trackers: { 'ads.example':  { total, categories, firstSeen, lastSeen, sites, siteCount, siteSketch } },
+//   entities: { 'google':       { total, categories, firstSeen, lastSeen, sites, siteCount, siteSketch } }
+// }
+// The whole object is rewritten on every batch, so trackers and entities
+// don't list their sites: they keep the first MAX_SAMPLE_SITES as a sample
+// and count the rest in siteSketch, a fixed-size bitmap (linear counting).
+// siteCount is exact up to the sample size, estimated past it, and stops
+// growing at MAX_SITES_PER_TRACKER, so the pages show "100+". Each table
+// holds at most MAX_ENTRIES domains: when it overflows, the ones seen least
+// recently are dropped until it is back to PRUNE_TO.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filter_parser'));
+  } else {
+    root.SiteStats = factory(root.FilterParser);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FilterParser) {
+
+  const MAX_ENTRIES = 1000;
+  const PRUNE_TO = 900;
+  const MAX_SITES_PER_TRACKER = 100;
+  const MAX_SAMPLE_SITES = 5;
+  const SKETCH_BITS = 256;
+
+  function createStats() {
+    return { sites: {}, trackers: {}, entities: {} };
+  }
+
+  function touch(table, key, category, time) {
+    const entry = table[key] || (table[key] = {
+      total: 0,
+      categories: {},
+      firstSeen: time,
+      lastSeen: time
+    });
+
+    entry.total++;
+    entry.categories[category] = (entry.categories[category] || 0) + 1;
+    entry.firstSeen = Math.min(entry.firstSeen, time);
+    entry.lastSeen = Math.max(entry.lastSeen, time);
+    return entry;
+  }
+
+  // ============================================
+  // SITE SKETCH
+  // ============================================
+  // FNV-1a; only needs to spread hostnames evenly over the bitmap
+  function hashSite(site) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < site.length; i++) {
+      hash ^= site.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  // The bitmap is stored as SKETCH_BITS / 4 hex digits
+  function addToSketch(sketch, site) {
+    const digits = sketch || '0'.repeat(SKETCH_BITS / 4);
+    const bit = hashSite(site) % SKETCH_BITS;
+    const index = Math.floor(bit / 4);
+    const digit = parseInt(digits[index], 16) | (1 << (bit % 4));
+    return digits.substring(0, index) + digit.toString(16) + digits.substring(index + 1);
+  }
+
+  // Distinct sites the bitmap has seen, from the share of bits still clear
+  function estimateSketch(sketch) {
+    const set = [...sketch].reduce((sum, digit) => {
+      let value = parseInt(digit, 16);
+      let bits = 0;
+      while (value) {
+        bits += value & 1;
+        value >>= 1;
+      }
+      return sum + bits;
+    }, 0);
+    if (set === SKETCH_BITS) return Infinity;
+    return Math.round(-SKETCH_BITS * Math.log((SKETCH_BITS - set) / SKETCH_BITS));
+  }
+
+  function addSite(entry, site) {
+    entry.sites = entry.sites || [];
+    entry.siteSketch = addToSketch(entry.siteSketch, site);
+    if (!entry.sites.includes(site) && entry.sites.length < MAX_SAMPLE_SITES) {
+      entry.sites.push(site);
+    }
+
+    // A site can't be unseen, so the count never goes down with the estimate
+    const count = entry.sites.length < MAX_SAMPLE_SITES
+      ? entry.sites.length
+      : Math.max(entry.siteCount || 0, entry.sites.length, estimateSketch(entry.siteSketch));
+    entry.siteCount = Math.min(count, MAX_SITES_PER_TRACKER);
+  }
+
+  function evict(table) {
+    const keys = Object.keys(table);
+    if (keys.length <= MAX_ENTRIES) return;
+
+    keys
+      .sort((a, b) => table[a].lastSeen - table[b].lastSeen)
+      .slice(0, keys.length - PRUNE_TO)
+      .forEach(key => delete table[key]);
+  }
+
+  /**
+   * Fold blocks into the stats (mutated and returned). An event is
+   * { time, category, site, url, entity, blocked } with site the hostname
+   * of the page; events that aren't blocks are ignored. A block on the page's
+   * own registrable domain counts for the site and its company, but not as
+   * a tracker.
+   */
+  function addEvents(stats, events) {
+    const result = stats && stats.sites ? stats : createStats();
+    result.entities = result.entities || {};
+
+    for (const event of events) {
+      if (!event.blocked || !event.site) continue;
+
+      const site = FilterParser.getRegistrableDomain(event.site);
+      touch(result.sites, site, event.category, event.time);
+
+      if (event.entity) {
+        addSite(touch(result.entities, event.entity, event.category, event.time), site);
+      }
+
+      const host = FilterParser.hostnameFromUrl(event.url);
+      const tracker = host && FilterParser.getRegistrableDomain(host);
+      if (!tracker || tracker === site) continue;
+
+      addSite(touch(result.trackers, tracker, event.category, event.time), site);
+    }
+
+    evict(result.sites);
+    evict(result.trackers);
+    evict(result.entities);
+    return result;
+  }
+
+  // [{ domain, ...entry }] with the most blocks first
+  function top(table, limit) {
+    return Object.entries(table || {})
+      .map(([domain, entry]) => ({ domain, ...entry }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+  }
+
+  return {
+    MAX_ENTRIES,
+    MAX_SITES_PER_TRACKER,
+    MAX_SAMPLE_SITES,
+    createStats,
+    addEvents,
+    top
+  };
+});
@@ -0,0 +1,91 @@
+// ============================================
+// SNAPSHOT_STORE.JS
+// Where background.js keeps matcher snapshots (see matcher_snapshot.js):
+// packaged ones ship in rules/, snapshots of downloaded lists are cached in
+// IndexedDB, which stores binary data as-is where chrome.storage would not.
+// Loaded with importScripts; requiring it works, but the functions need the
+// extension's IndexedDB and runtime APIs.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./matcher_snapshot'));
+  } else {
+    root.SnapshotStore = factory(root.MatcherSnapshot);
+  }
+})(typeof self !== 'undefined' ? self : this, function (MatcherSnapshot) {
+
+  const SNAPSHOT_DB_NAME = 'adblock4all';
+  const SNAPSHOT_STORE_NAME = 'matcherSnapshots';
+
+  let snapshotDbPromise = null;
+
+  function openSnapshotDb() {
+    if (!snapshotDbPromise) {
+      snapshotDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // A failed open shouldn't stick for the rest of the worker's life
+      snapshotDbPromise.catch(() => { snapshotDbPromise = null; });
+    }
+    return snapshotDbPromise;
+  }
+
+  async function runSnapshotTransaction(mode, action) {
+    const db = await openSnapshotDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(SNAPSHOT_STORE_NAME, mode);
+      const request = action(transaction.objectStore(SNAPSHOT_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Snapshots from another extension version may have been parsed differently
+  function isCurrentSnapshot(record) {
+    return record &&
+      record.formatVersion === MatcherSnapshot.FORMAT_VERSION &&
+      record.extensionVersion === chrome.runtime.getManifest().version;
+  }
+
+  // Resolves to the cached snapshot bytes for a list whose content hashes to contentHash, or null
+  async function readCachedSnapshot(id, contentHash) {
+    const record = await runSnapshotTransaction('readonly', store => store.get(id));
+    return isCurrentSnapshot(record) && record.contentHash === contentHash ? record.bytes : null;
+  }
+
+  function writeCachedSnapshot(id, contentHash, bytes) {
+    return runSnapshotTransaction('readwrite', store => store.put({
+      id,
+      contentHash,
+      bytes,
+      formatVersion: MatcherSnapshot.FORMAT_VERSION,
+      extensionVersion: chrome.runtime.getManifest().version
+    }));
+  }
+
+  function deleteCachedSnapshot(id) {
+    return runSnapshotTransaction('readwrite', store => store.delete(id));
+  }
+
+  // Snapshot the converter built from a built-in list's packaged copy
+  async function getPackagedSnapshot(subscription) {
+    if (!subscription.snapshotPath) return null;
+
+    const response = await fetch(chrome.runtime.getURL(subscription.snapshotPath));
+    if (!response.ok) return null;
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  return {
+    readCachedSnapshot,
+    writeCachedSnapshot,
+    deleteCachedSnapshot,
+    getPackagedSnapshot
+  };
+});
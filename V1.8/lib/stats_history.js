@@ -0,0 +1,197 @@
+// ============================================
+// STATS_HISTORY.JS
+// Bounded time series behind the stats page and the leaderboard's week and
+// month tabs. background.js folds batches of events into the statsHistory
+// storage object; the popup pages only read it.
+//
+// statsHistory = {
+//   days: { 'YYYY-MM-DD': { blocked, timeSaved, dataSaved, categories, sites, otherSites } },
+//   hours: { date: 'YYYY-MM-DD', blocked: [24 counts] }
+// }
+// Days are local calendar days. Only the last MAX_DAYS are kept. A day counts
+// every site while it is the latest one (up to MAX_OPEN_DAY_SITES, past which
+// the quietest are folded in), and once a later day starts it keeps only its
+// MAX_SITES_PER_DAY busiest sites; blocks on the rest go to otherSites.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StatsHistory = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const MAX_DAYS = 366;
+  const MAX_SITES_PER_DAY = 25;
+  const MAX_OPEN_DAY_SITES = 1000;
+  const DAY_MS = 86400000;
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  function dayKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function createHistory() {
+    return { days: {}, hours: { date: '', blocked: new Array(24).fill(0) } };
+  }
+
+  function createDay() {
+    return { blocked: 0, timeSaved: 0, dataSaved: 0, categories: {}, sites: {}, otherSites: 0 };
+  }
+
+  // Keep the `limit` busiest sites of a day and add the rest to otherSites
+  function trimSites(day, limit) {
+    const entries = Object.entries(day.sites);
+    if (entries.length <= limit) return;
+
+    entries.sort((a, b) => b[1] - a[1]);
+    day.sites = Object.fromEntries(entries.slice(0, limit));
+    day.otherSites += entries.slice(limit).reduce((sum, [, count]) => sum + count, 0);
+  }
+
+  function addSite(day, site) {
+    day.sites[site] = (day.sites[site] || 0) + 1;
+    trimSites(day, MAX_OPEN_DAY_SITES);
+  }
+
+  /**
+   * Fold events into the history (mutated and returned). An event is
+   * { time, category, site, blocked, timeSaved, dataSaved }; blocked is false
+   * for things that are counted under a category but aren't blocks, like
+   * cleaned URLs.
+   */
+  function addEvents(history, events) {
+    const result = history && history.days ? history : createHistory();
+
+    for (const event of events) {
+      const time = new Date(event.time);
+      const key = dayKey(time);
+      const day = result.days[key] || (result.days[key] = createDay());
+
+      day.categories[event.category] = (day.categories[event.category] || 0) + 1;
+      if (!event.blocked) continue;
+
+      day.blocked++;
+      day.timeSaved += event.timeSaved || 0;
+      day.dataSaved += event.dataSaved || 0;
+      if (event.site) addSite(day, event.site);
+
+      if (result.hours.date !== key) {
+        // Only today's hours are kept; an older event doesn't bring its day back
+        if (result.hours.date > key) continue;
+        result.hours = { date: key, blocked: new Array(24).fill(0) };
+      }
+      result.hours.blocked[time.getHours()]++;
+    }
+
+    return prune(result, Date.now());
+  }
+
+  // Drops days past MAX_DAYS and trims the sites of every day but the latest
+  function prune(history, now) {
+    const oldest = dayKey(new Date(now - (MAX_DAYS - 1) * DAY_MS));
+    const keys = Object.keys(history.days).sort();
+    keys.forEach((key, i) => {
+      if (key < oldest) {
+        delete history.days[key];
+      } else if (i < keys.length - 1) {
+        trimSites(history.days[key], MAX_SITES_PER_DAY);
+      }
+    });
+    return history;
+  }
+
+  // Day keys from `count` days ago up to today, oldest first
+  function lastDays(count, now) {
+    const keys = [];
+    const today = new Date(now);
+    for (let i = count - 1; i >= 0; i--) {
+      keys.push(dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - i)));
+    }
+    return keys;
+  }
+
+  function sumDays(history, keys) {
+    const days = (history && history.days) || {};
+    return keys.reduce((sum, key) => sum + (days[key] ? days[key].blocked : 0), 0);
+  }
+
+  // Blocks since the start of this week (Monday) or this calendar month
+  function blockedInPeriod(history, period, now = Date.now()) {
+    const today = new Date(now);
+    const daysIn = period === 'week'
+      ? (today.getDay() + 6) % 7 + 1
+      : today.getDate();
+    return sumDays(history, lastDays(daysIn, now));
+  }
+
+  /**
+   * What the stats page draws for the last `rangeDays` days: one point per
+   * day, or per month for ranges over 90 days, plus category and top-site
+   * totals across the range and today's hourly counts.
+   */
+  function summarize(history, rangeDays, now = Date.now()) {
+    const days = (history && history.days) || {};
+    const keys = lastDays(rangeDays, now);
+    const byMonth = rangeDays > 90;
+
+    const points = [];
+    const categories = {};
+    const sites = {};
+    let otherSites = 0;
+
+    for (const key of keys) {
+      const day = days[key] || createDay();
+      const label = byMonth ? key.substring(0, 7) : key;
+
+      let point = points[points.length - 1];
+      if (!point || point.label !== label) {
+        point = { label, blocked: 0, timeSaved: 0, dataSaved: 0 };
+        points.push(point);
+      }
+      point.blocked += day.blocked;
+      point.timeSaved += day.timeSaved;
+      point.dataSaved += day.dataSaved;
+
+      Object.entries(day.categories).forEach(([category, count]) => {
+        categories[category] = (categories[category] || 0) + count;
+      });
+      Object.entries(day.sites).forEach(([site, count]) => {
+        sites[site] = (sites[site] || 0) + count;
+      });
+      otherSites += day.otherSites;
+    }
+
+    const todayKey = keys[keys.length - 1];
+    const hours = history && history.hours && history.hours.date === todayKey
+      ? history.hours.blocked
+      : new Array(24).fill(0);
+
+    return {
+      points,
+      categories,
+      topSites: Object.entries(sites).sort((a, b) => b[1] - a[1]).slice(0, 10),
+      otherSites,
+      hours,
+      totals: points.reduce((totals, point) => ({
+        blocked: totals.blocked + point.blocked,
+        timeSaved: totals.timeSaved + point.timeSaved,
+        dataSaved: totals.dataSaved + point.dataSaved
+      }), { blocked: 0, timeSaved: 0, dataSaved: 0 })
+    };
+  }
+
+  return {
+    MAX_DAYS,
+    MAX_SITES_PER_DAY,
+    dayKey,
+    createHistory,
+    addEvents,
+    blockedInPeriod,
+    summarize
+  };
+});
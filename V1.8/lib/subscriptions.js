@@ -0,0 +1,263 @@
+// ============================================
+// SUBSCRIPTIONS.JS
+// Filter list subscriptions: stored metadata, downloads, validation and the
+// chrome.alarms update schedule. background.js loads it with importScripts and
+// decides what to do with the lists; Node tools can require it.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Subscriptions = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const SUBSCRIPTION_ALARM_PREFIX = 'subscription-update:';
+  const DEFAULT_EXPIRES_HOURS = 120; // ABP's default of 5 days
+  const MIN_EXPIRES_HOURS = 1;
+  const MAX_EXPIRES_HOURS = 14 * 24;
+  const RETRY_DELAY_HOURS = 1;
+  const MIN_RETAINED_RATIO = 0.1; // An update that loses 90% of a list is more likely broken than real
+  const HOUR_MS = 3600000;
+
+  // Lists that ship with the extension; their packaged copy is also compiled into
+  // static rulesets named "<id>_<n>" and a matcher snapshot (see ad_blocker_converter.js)
+  const BUILTIN_SUBSCRIPTIONS = [
+    {
+      id: 'oisd-small',
+      url: 'https://small.oisd.nl/',
+      title: 'oisd small',
+      bundledPath: 'oisd_small_abp.txt',
+      snapshotPath: 'rules/oisd-small.snapshot.bin'
+    }
+  ];
+
+  // ============================================
+  // METADATA
+  // ============================================
+  function createSubscription(fields) {
+    return {
+      id: fields.id,
+      url: fields.url,
+      title: fields.title || fields.url,
+      builtin: !!fields.builtin,
+      bundledPath: fields.bundledPath || null,
+      snapshotPath: fields.snapshotPath || null,
+      rulesetIds: fields.rulesetIds || [],
+      enabled: fields.enabled !== false,
+      version: null,
+      lastModified: null,
+      expiresHours: DEFAULT_EXPIRES_HOURS,
+      lastUpdated: null,
+      lastChecked: null,
+      nextUpdate: null,
+      filterCount: 0,
+      diff: null,
+      error: null
+    };
+  }
+
+  // The converter leaves rulesets past Chrome's guaranteed rule budget disabled
+  // in the manifest; those stay off, so only the enabled-by-default ones count
+  function getBuiltinRulesetIds(subscriptionId) {
+    const resources = chrome.runtime.getManifest().declarative_net_request?.rule_resources || [];
+    return resources
+      .filter(resource => resource.enabled && resource.id.startsWith(`${subscriptionId}_`))
+      .map(resource => resource.id);
+  }
+
+  // Stored subscriptions, with any built-in list that isn't stored yet filled in
+  async function getSubscriptions() {
+    const { subscriptions = [] } = await chrome.storage.local.get(['subscriptions']);
+
+    for (const builtin of BUILTIN_SUBSCRIPTIONS) {
+      if (!subscriptions.some(sub => sub.id === builtin.id)) {
+        subscriptions.unshift(createSubscription({ ...builtin, builtin: true }));
+      }
+    }
+
+    // Packaged files and ruleset ids change with every regenerated build
+    subscriptions
+      .filter(sub => sub.builtin)
+      .forEach(sub => {
+        const builtin = BUILTIN_SUBSCRIPTIONS.find(entry => entry.id === sub.id);
+        sub.snapshotPath = builtin?.snapshotPath || null;
+        sub.rulesetIds = getBuiltinRulesetIds(sub.id);
+      });
+
+    return subscriptions;
+  }
+
+  function saveSubscriptions(subscriptions) {
+    return chrome.storage.local.set({ subscriptions });
+  }
+
+  function subscriptionContentKey(id) {
+    return `subscriptionContent:${id}`;
+  }
+
+  function getBundledContent(subscription) {
+    if (!subscription.bundledPath) return Promise.resolve('');
+    return fetch(chrome.runtime.getURL(subscription.bundledPath)).then(response => response.text());
+  }
+
+  // Downloaded copy only; undefined until a list has been updated at least once
+  async function getStoredSubscriptionContent(id) {
+    const key = subscriptionContentKey(id);
+    const stored = await chrome.storage.local.get([key]);
+    return stored[key];
+  }
+
+  // Last downloaded copy, falling back to the packaged file for built-in lists
+  async function getSubscriptionContent(subscription) {
+    return (await getStoredSubscriptionContent(subscription.id)) ?? getBundledContent(subscription);
+  }
+
+  function storeSubscriptionContent(id, content) {
+    return chrome.storage.local.set({ [subscriptionContentKey(id)]: content });
+  }
+
+  function removeSubscriptionContent(id) {
+    return chrome.storage.local.remove(subscriptionContentKey(id));
+  }
+
+  // ============================================
+  // LIST HEADERS AND VALIDATION
+  // ============================================
+  function parseListHeader(content) {
+    const header = {
+      title: null,
+      version: null,
+      lastModified: null,
+      expiresHours: DEFAULT_EXPIRES_HOURS
+    };
+
+    for (const line of content.split('\n', 50)) {
+      const match = line.match(/^!\s*([\w ]+?)\s*:\s*(.+?)\s*$/);
+      if (!match) continue;
+
+      const [, key, value] = match;
+      switch (key.toLowerCase()) {
+        case 'title':
+          header.title = value;
+          break;
+        case 'version':
+          header.version = value;
+          break;
+        case 'last modified':
+          header.lastModified = value;
+          break;
+        case 'expires': {
+          const expires = value.match(/^(\d+)\s*(hour|day)/i);
+          if (expires) {
+            const hours = parseInt(expires[1], 10) * (expires[2].toLowerCase() === 'day' ? 24 : 1);
+            header.expiresHours = Math.min(Math.max(hours, MIN_EXPIRES_HOURS), MAX_EXPIRES_HOURS);
+          }
+          break;
+        }
+      }
+    }
+
+    return header;
+  }
+
+  // Comment styles of every supported format: "!" and "[...]" in ABP, "#" in hosts files
+  function getFilterLines(content) {
+    return content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('!') && !line.startsWith('[') && !/^#(?![@?$%]?#)/.test(line));
+  }
+
+  // Throws when a download doesn't look like a filter list we should switch to
+  function validateFilterList(content, previousContent) {
+    const trimmed = content.trimStart();
+    if (!trimmed) {
+      throw new Error('Downloaded list is empty');
+    }
+    if (trimmed.startsWith('<')) {
+      throw new Error('Server returned HTML instead of a filter list');
+    }
+
+    const filterCount = getFilterLines(content).length;
+    if (filterCount === 0) {
+      throw new Error('Downloaded list contains no filters');
+    }
+
+    const previousCount = previousContent ? getFilterLines(previousContent).length : 0;
+    if (previousCount > 0 && filterCount < previousCount * MIN_RETAINED_RATIO) {
+      throw new Error(`List shrank from ${previousCount} to ${filterCount} filters; keeping the old copy`);
+    }
+
+    return filterCount;
+  }
+
+  function diffFilterLists(previousContent, content) {
+    const before = new Set(getFilterLines(previousContent || ''));
+    const after = new Set(getFilterLines(content));
+
+    let added = 0;
+    let removed = 0;
+    after.forEach(line => { if (!before.has(line)) added++; });
+    before.forEach(line => { if (!after.has(line)) removed++; });
+
+    return { added, removed };
+  }
+
+  async function downloadSubscription(subscription) {
+    const response = await fetch(subscription.url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+    return response.text();
+  }
+
+  // ============================================
+  // SCHEDULING
+  // ============================================
+  function getNextUpdateTime(subscription, failed) {
+    const delayHours = failed ? RETRY_DELAY_HOURS : subscription.expiresHours;
+    return Date.now() + delayHours * HOUR_MS;
+  }
+
+  // Alarms outlive the service worker, so a terminated worker is woken up for updates
+  function scheduleSubscriptionUpdate(subscription) {
+    const name = SUBSCRIPTION_ALARM_PREFIX + subscription.id;
+
+    if (!subscription.enabled) {
+      return chrome.alarms.clear(name);
+    }
+
+    const when = Math.max(subscription.nextUpdate || Date.now(), Date.now() + 1000);
+    return chrome.alarms.create(name, { when });
+  }
+
+  function getSubscriptionIdFromAlarm(alarmName) {
+    return alarmName.startsWith(SUBSCRIPTION_ALARM_PREFIX)
+      ? alarmName.substring(SUBSCRIPTION_ALARM_PREFIX.length)
+      : null;
+  }
+
+  return {
+    SUBSCRIPTION_ALARM_PREFIX,
+    DEFAULT_EXPIRES_HOURS,
+    BUILTIN_SUBSCRIPTIONS,
+    createSubscription,
+    getSubscriptions,
+    saveSubscriptions,
+    getBundledContent,
+    getStoredSubscriptionContent,
+    getSubscriptionContent,
+    storeSubscriptionContent,
+    removeSubscriptionContent,
+    parseListHeader,
+    getFilterLines,
+    validateFilterList,
+    diffFilterLists,
+    downloadSubscription,
+    getNextUpdateTime,
+    scheduleSubscriptionUpdate,
+    getSubscriptionIdFromAlarm
+  };
+});
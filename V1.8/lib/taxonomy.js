@@ -0,0 +1,129 @@
+// ============================================
+// TAXONOMY.JS
+// What kind of thing a blocked request is: advertising, analytics, social,
+// fingerprinting, cryptomining, malware or an annoyance. The categories and
+// the domains in each live in data/taxonomy.json, so the list can grow
+// without touching code. Used by background.js and the popup pages (via
+// script tags / importScripts) and by ad_blocker_converter.js (via require).
+//
+// Domains are keyed by registrable domain; a more specific hostname entry
+// (connect.facebook.net) wins over its registrable domain (facebook.net).
+// Requests no domain claims fall back to the path patterns, then to
+// defaultCategory.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filter_parser'));
+  } else {
+    root.Taxonomy = factory(root.FilterParser);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FilterParser) {
+
+  const TAXONOMY_PATH = 'data/taxonomy.json';
+  const ANCHORED_HOST_RE = /^\|\|([a-z0-9.-]+)(?:[\^\/|]|$)/;
+
+  class Taxonomy {
+    // data is the parsed contents of data/taxonomy.json
+    constructor(data) {
+      this.categories = data.categories;
+      this.defaultCategory = data.defaultCategory;
+      this.aliases = new Map(Object.entries(data.aliases || {}));
+      this.byId = new Map(this.categories.map(category => [category.id, category]));
+      this.domains = new Map(Object.entries(data.domains || {}));
+      this.patterns = (data.patterns || []).map(({ contains, category }) => ({
+        contains: contains.toLowerCase(),
+        category
+      }));
+
+      if (!this.byId.has(this.defaultCategory)) {
+        throw new Error(`Unknown default category "${this.defaultCategory}"`);
+      }
+      for (const [domain, category] of this.domains) {
+        if (!this.byId.has(category)) {
+          throw new Error(`Unknown category "${category}" for ${domain}`);
+        }
+      }
+    }
+
+    get ids() {
+      return this.categories.map(category => category.id);
+    }
+
+    // Category id for a stored category name, including ones from older versions; unknown ones get the default
+    resolve(category) {
+      if (this.byId.has(category)) return category;
+      return this.aliases.get(category) || this.defaultCategory;
+    }
+
+    // Case-insensitive lookup of a category id, label or alias; null when nothing matches
+    find(name) {
+      const wanted = String(name).trim().toLowerCase();
+      const category = this.categories.find(({ id, label }) =>
+        id.toLowerCase() === wanted || label.toLowerCase() === wanted);
+      if (category) return category.id;
+
+      for (const [alias, id] of this.aliases) {
+        if (alias.toLowerCase() === wanted) return id;
+      }
+      return null;
+    }
+
+    describe(category) {
+      return this.byId.get(this.resolve(category));
+    }
+
+    categorizeHost(hostname) {
+      if (!hostname) return null;
+
+      const host = hostname.toLowerCase();
+      const registrable = FilterParser.getRegistrableDomain(host);
+      let suffix = host;
+      // Stop at the registrable domain: "co.uk" or "com" says nothing about a request
+      while (suffix.length >= registrable.length) {
+        const category = this.domains.get(suffix);
+        if (category) return category;
+
+        const dot = suffix.indexOf('.');
+        if (dot === -1) break;
+        suffix = suffix.substring(dot + 1);
+      }
+      return null;
+    }
+
+    _categorizeText(text) {
+      const lower = text.toLowerCase();
+      const pattern = this.patterns.find(({ contains }) => lower.includes(contains));
+      return pattern ? pattern.category : null;
+    }
+
+    // Network filters only; null when the taxonomy doesn't know the filter's host or path
+    categorizeFilter(filter) {
+      const hostMatch = filter.pattern.toLowerCase().match(ANCHORED_HOST_RE);
+      return (hostMatch && this.categorizeHost(hostMatch[1])) || this._categorizeText(filter.pattern);
+    }
+
+    categorizeUrl(url) {
+      return this.categorizeHost(FilterParser.hostnameFromUrl(url)) || this._categorizeText(url);
+    }
+  }
+
+  // Extension pages and the service worker read the packaged copy
+  let loading = null;
+
+  function load() {
+    if (!loading) {
+      loading = fetch(chrome.runtime.getURL(TAXONOMY_PATH))
+        .then(response => response.json())
+        .then(data => new Taxonomy(data));
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  return {
+    TAXONOMY_PATH,
+    Taxonomy,
+    load
+  };
+});
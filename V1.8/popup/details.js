@@ -10,6 +10,14 @@
 
 let currentTabId = null;
 let currentTabUrl = null;
+let currentDomain = '';
+let notificationTimeout = null;
+
+// Subscription id -> title, for naming the list a rule came from
+const listTitles = new Map([['custom', 'My Filters']]);
+// Labels for the category badges; raw category ids until it loads
+let taxonomy = null;
+let entityMap = null;
 
 // Cache DOM elements
 const DOM = {
@@ -18,6 +26,7 @@ const DOM = {
   refresh: document.getElementById('refresh'),
   clear: document.getElementById('clear'),
   goBack: document.getElementById('goBack'),
+  privacyHeaders: document.getElementById('privacyHeaders'),
   pageTitle: document.querySelector('h2')
 };
 
@@ -44,7 +53,27 @@ async function init() {
     currentTabId = currentTab.id;
     currentTabUrl = currentTab.url;
     loadBlockedUrls();
+    loadPrivacyHeaders();
   }
+  
+  chrome.runtime.sendMessage({ action: 'getSubscriptions' }, (response) => {
+    if (!response) return;
+    response.subscriptions.forEach(sub => listTitles.set(sub.id, sub.title));
+    lastRenderedData = null;
+    loadBlockedUrls();
+  });
+  
+  Taxonomy.load().then(loaded => {
+    taxonomy = loaded;
+    lastRenderedData = null;
+    loadBlockedUrls();
+  });
+  
+  Entities.load().then(loaded => {
+    entityMap = loaded;
+    lastRenderedData = null;
+    loadBlockedUrls();
+  });
 }
 
 // ============================================
@@ -80,6 +109,7 @@ function displayBlockedUrls(blockedUrls, domain, totalCount) {
   const dataHash = `${blockedUrls.length}-${totalCount}-${domain}`;
   if (lastRenderedData === dataHash) return;
   lastRenderedData = dataHash;
+  currentDomain = domain;
   
   // Update count
   DOM.count.textContent = totalCount.toLocaleString();
@@ -126,11 +156,18 @@ function displayBlockedUrls(blockedUrls, domain, totalCount) {
 // ============================================
 // OPTIMIZED ITEM CREATION
 // ============================================
+// Older log entries say "Ad" or "Tracker"; the taxonomy maps them onto its categories
+function describeCategory(category) {
+  if (!taxonomy) return category;
+  const { icon, label } = taxonomy.describe(category);
+  return `${icon} ${label}`;
+}
+
 function createUrlItem(item) {
   const date = new Date(item.timestamp);
   const timeStr = date.toLocaleTimeString();
   const displayUrl = item.url || item.fullUrl || '';
-  const categoryBadge = item.category ? `[${item.category}] ` : '';
+  const categoryBadge = item.category ? `[${describeCategory(item.category)}] ` : '';
   
   const div = document.createElement('div');
   div.className = 'url-item';
@@ -149,20 +186,180 @@ function createUrlItem(item) {
   
   const timestampDiv = document.createElement('div');
   timestampDiv.className = 'timestamp';
-  timestampDiv.textContent = `Blocked at ${timeStr}`;
+  timestampDiv.textContent = item.removedParams ? `Cleaned at ${timeStr}` : `Blocked at ${timeStr}`;
+  
+  const entity = item.entity && entityMap?.describe(item.entity);
+  if (entity) {
+    timestampDiv.textContent += ` · ${entity.name}`;
+  }
+  if (item.saved) {
+    timestampDiv.textContent += ` · ~${item.saved.kb} KB saved`;
+    timestampDiv.title = `Estimate: ${SavingsModel.BASIS_LABELS[item.saved.basis] || item.saved.basis}`;
+  }
   
   div.appendChild(urlDiv);
   div.appendChild(timestampDiv);
   
+  if (item.rule) {
+    div.appendChild(createRuleInfo(item));
+  } else if (item.removedParams) {
+    const removed = document.createElement('div');
+    removed.className = 'rule-info rule-source';
+    removed.textContent = `Removed ${item.removedParams.join(', ')}`;
+    div.appendChild(removed);
+  }
+  
   return div;
 }
 
+// Which list line blocked the request, and a way out when it broke the site
+function createRuleInfo(item) {
+  const ruleDiv = document.createElement('div');
+  ruleDiv.className = 'rule-info';
+  
+  const ruleText = document.createElement('code');
+  ruleText.className = 'rule-text';
+  ruleText.textContent = item.rule;
+  ruleDiv.appendChild(ruleText);
+  
+  const source = document.createElement('div');
+  source.className = 'rule-source';
+  const listName = listTitles.get(item.listId) || item.listId || 'Unknown list';
+  source.textContent = item.line ? `${listName}, line ${item.line}` : listName;
+  ruleDiv.appendChild(source);
+  
+  // Only an $important exception can undo an $important block, and My Filters
+  // can't hold one, so those rules get no disable button
+  if (item.pattern && currentDomain && !item.important) {
+    const disableBtn = document.createElement('button');
+    disableBtn.className = 'disable-rule-btn';
+    disableBtn.textContent = `Disable this rule on ${currentDomain}`;
+    disableBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      disableRuleOnSite(item.pattern, disableBtn);
+    });
+    ruleDiv.appendChild(disableBtn);
+  }
+  
+  return ruleDiv;
+}
+
+function disableRuleOnSite(pattern, button) {
+  button.disabled = true;
+  
+  chrome.runtime.sendMessage({
+    action: 'disableRuleOnSite',
+    pattern,
+    hostname: currentDomain
+  }, (response) => {
+    if (response?.success) {
+      button.textContent = 'Disabled here - reload the page';
+      showNotification(`Added ${response.text} to My Filters`);
+    } else {
+      button.disabled = false;
+      showNotification(response?.error || 'Could not disable the rule');
+    }
+  });
+}
+
+function showNotification(message) {
+  const existing = document.querySelector('.notification');
+  if (existing) {
+    existing.remove();
+  }
+  
+  if (notificationTimeout) {
+    clearTimeout(notificationTimeout);
+  }
+  
+  const notification = document.createElement('div');
+  notification.className = 'notification';
+  notification.textContent = message;
+  document.body.appendChild(notification);
+  
+  requestAnimationFrame(() => {
+    notification.classList.add('show');
+  });
+  
+  notificationTimeout = setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => notification.remove(), 300);
+  }, 3000);
+}
+
+// ============================================
+// PRIVACY HEADERS
+// ============================================
+// The header rules that apply on this site, and how often each one fired
+let lastPrivacyHeadersHash = '';
+
+function loadPrivacyHeaders() {
+  if (!currentTabId) return;
+  
+  chrome.runtime.sendMessage({
+    action: 'getPrivacyHeadersForTab',
+    tabId: currentTabId
+  }, (response) => {
+    if (!response?.success) return;
+    renderPrivacyHeaders(response);
+  });
+}
+
+function renderPrivacyHeaders({ hostname, paused, protections }) {
+  const hash = JSON.stringify({ hostname, paused, protections });
+  if (hash === lastPrivacyHeadersHash) return;
+  lastPrivacyHeadersHash = hash;
+  
+  const fragment = document.createDocumentFragment();
+  
+  const title = document.createElement('div');
+  title.className = 'privacy-headers-title';
+  title.textContent = `🔒 Privacy headers${hostname ? ` on ${hostname}` : ''}`;
+  fragment.appendChild(title);
+  
+  if (paused) {
+    const note = document.createElement('div');
+    note.className = 'rule-source';
+    note.textContent = 'Protection is paused here, so no headers are changed';
+    fragment.appendChild(note);
+  }
+  
+  for (const protection of protections) {
+    const row = document.createElement('div');
+    row.className = `privacy-header-row${protection.enabled && !paused ? '' : ' off'}`;
+    
+    const label = document.createElement('strong');
+    label.textContent = protection.label;
+    row.appendChild(label);
+    
+    if (!protection.enabled) {
+      row.appendChild(document.createTextNode(' - off'));
+    }
+    
+    for (const rule of protection.rules) {
+      const ruleDiv = document.createElement('div');
+      ruleDiv.className = 'rule-source';
+      const parts = [rule.headers.join(', ')];
+      if (rule.thirdPartyOnly) parts.push('third-party requests');
+      if (rule.matches !== null) parts.push(`applied ${rule.matches}×`);
+      ruleDiv.textContent = `#${rule.id}: ${parts.join(' · ')}`;
+      row.appendChild(ruleDiv);
+    }
+    
+    fragment.appendChild(row);
+  }
+  
+  DOM.privacyHeaders.innerHTML = '';
+  DOM.privacyHeaders.appendChild(fragment);
+}
+
 // ============================================
 // EVENT HANDLERS
 // ============================================
 DOM.refresh.addEventListener('click', () => {
   lastRenderedData = null; // Force re-render
   loadBlockedUrls();
+  loadPrivacyHeaders();
 });
 
 DOM.clear.addEventListener('click', () => {
@@ -0,0 +1,103 @@
+// ============================================
+// ENTITIES.JS - Who's watching you
+// Companies behind the blocked requests, from the entities table of
+// siteStats: blocks, distinct sites and categories per company, with a line
+// on what each one does.
+// ============================================
+
+const ENTITY_LIMIT = 25;
+
+// Cache DOM elements
+const DOM = {
+  goBack: document.getElementById('goBack'),
+  entityList: document.getElementById('entityList'),
+  entityUnknown: document.getElementById('entityUnknown')
+};
+
+// ============================================
+// RENDERING
+// ============================================
+function describeCategories(taxonomy, categories) {
+  return Object.entries(categories)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, count]) => {
+      const { icon, label } = taxonomy.describe(category);
+      return `${icon} ${label} ${count.toLocaleString()}`;
+    })
+    .join(' · ');
+}
+
+function describeSiteCount(entry) {
+  const count = entry.siteCount || 0;
+  const suffix = count >= SiteStats.MAX_SITES_PER_TRACKER ? '+' : '';
+  return `Blocked on ${count}${suffix} site${count === 1 ? '' : 's'}`;
+}
+
+function createEntityRow(taxonomy, entity, entry, rank) {
+  const row = document.createElement('div');
+  row.className = 'top-entry';
+
+  const header = document.createElement('div');
+  header.className = 'top-entry-header';
+  const name = document.createElement('span');
+  name.className = 'top-entry-domain';
+  name.textContent = `${rank}. ${entity.name}`;
+  const total = document.createElement('strong');
+  total.textContent = entry.total.toLocaleString();
+  header.append(name, total);
+
+  const about = document.createElement('div');
+  about.className = 'entity-about';
+  about.textContent = entity.about;
+
+  const sites = document.createElement('div');
+  sites.className = 'top-entry-meta';
+  sites.textContent = describeSiteCount(entry);
+
+  const categories = document.createElement('div');
+  categories.className = 'top-entry-meta';
+  categories.textContent = describeCategories(taxonomy, entry.categories);
+
+  row.title = entry.sites ? entry.sites.join('\n') : '';
+  row.append(header, about, sites, categories);
+  return row;
+}
+
+function renderEntities(taxonomy, entityMap, siteStats, totalBlocked) {
+  // Companies dropped from a newer entities.json have nothing left to show
+  const entries = SiteStats.top(siteStats?.entities, ENTITY_LIMIT)
+    .filter(entry => entityMap.describe(entry.domain));
+
+  DOM.entityList.innerHTML = '';
+  if (entries.length === 0) {
+    DOM.entityList.innerHTML = '<div class="list-empty">No requests from known companies blocked yet</div>';
+  } else {
+    const fragment = document.createDocumentFragment();
+    entries.forEach((entry, index) => {
+      fragment.appendChild(createEntityRow(taxonomy, entityMap.describe(entry.domain), entry, index + 1));
+    });
+    DOM.entityList.appendChild(fragment);
+  }
+
+  const attributed = Object.values(siteStats?.entities || {}).reduce((sum, entry) => sum + entry.total, 0);
+  const unknown = Math.max(0, totalBlocked - attributed);
+  DOM.entityUnknown.textContent = unknown > 0
+    ? `${unknown.toLocaleString()} other blocks came from smaller ad networks and trackers not on this list.`
+    : '';
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+DOM.goBack.addEventListener('click', () => {
+  window.location.href = 'profile.html';
+});
+
+// ============================================
+// INITIALIZATION
+// ============================================
+Promise.all([Taxonomy.load(), Entities.load()]).then(([taxonomy, entityMap]) => {
+  chrome.storage.local.get(['siteStats', 'totalBlockedAllTime'], (result) => {
+    renderEntities(taxonomy, entityMap, result.siteStats, result.totalBlockedAllTime || 0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,255 @@
+// ============================================
+// FILTERS.JS - "My Filters" custom rule editor
+// Lines are validated with the same FilterParser the background uses,
+// so what passes here is exactly what gets compiled.
+// ============================================
+
+// Cache DOM elements
+const DOM = {
+  goBack: document.getElementById('goBack'),
+  filterInput: document.getElementById('filterInput'),
+  validationList: document.getElementById('validationList'),
+  addFiltersBtn: document.getElementById('addFiltersBtn'),
+  slotDescription: document.getElementById('slotDescription'),
+  slotsRemaining: document.getElementById('slotsRemaining'),
+  customFilterList: document.getElementById('customFilterList')
+};
+
+let customFilters = [];
+let validFilterLines = [];
+
+// ============================================
+// VALIDATION
+// ============================================
+function describeFilter(parsed) {
+  if (parsed.type === 'cosmetic') {
+    return parsed.isException ? 'allows hidden elements' : 'hides elements';
+  }
+  if (parsed.isException) {
+    if (parsed.document) return 'allows whole pages';
+    if (parsed.elemhide || parsed.generichide) return 'disables element hiding';
+    return 'allows requests';
+  }
+  return 'blocks requests';
+}
+
+function validateInput() {
+  const lines = DOM.filterInput.value.split('\n');
+  const existing = new Set(customFilters.map(entry => entry.text));
+  const fragment = document.createDocumentFragment();
+  
+  validFilterLines = [];
+  
+  lines.forEach((line, index) => {
+    const text = line.trim();
+    if (!text) return;
+    
+    const parsed = FilterParser.parseFilterLine(text);
+    const row = document.createElement('div');
+    
+    if (!parsed) {
+      row.className = 'validation-line comment';
+      row.textContent = `${index + 1}: comment, ignored`;
+    } else if (parsed.error) {
+      row.className = 'validation-line error';
+      row.textContent = `${index + 1}: ✗ ${parsed.error}`;
+    } else if (existing.has(text) || validFilterLines.includes(text)) {
+      row.className = 'validation-line comment';
+      row.textContent = `${index + 1}: already added`;
+    } else {
+      row.className = 'validation-line ok';
+      row.textContent = `${index + 1}: ✓ ${describeFilter(parsed)}`;
+      validFilterLines.push(text);
+    }
+    
+    fragment.appendChild(row);
+  });
+  
+  DOM.validationList.innerHTML = '';
+  DOM.validationList.appendChild(fragment);
+  
+  DOM.addFiltersBtn.disabled = validFilterLines.length === 0;
+  DOM.addFiltersBtn.textContent = validFilterLines.length > 1
+    ? `Add ${validFilterLines.length} Rules`
+    : 'Add Rule';
+}
+
+// ============================================
+// LOADING AND SAVING
+// ============================================
+function loadCustomFilters() {
+  chrome.runtime.sendMessage({ action: 'getCustomFilters' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(response.error);
+      return;
+    }
+    
+    customFilters = response.filters;
+    renderCustomFilters();
+    renderSlots(response.slots);
+    validateInput();
+  });
+}
+
+function saveCustomFilters(filters, onSaved) {
+  chrome.runtime.sendMessage({ action: 'saveCustomFilters', filters }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(`Could not save: ${response.error}`);
+      renderCustomFilters();
+      return;
+    }
+    
+    customFilters = response.filters;
+    renderCustomFilters();
+    renderSlots(response.slots);
+    if (response.rejectedRegexes.length > 0) {
+      // Chrome's regex engine is stricter than the check done while typing
+      const [{ regex, reason }] = response.rejectedRegexes;
+      showNotification(`Chrome rejected ${response.rejectedRegexes.length} regex rule(s), e.g. /${regex}/ (${reason})`);
+    }
+    if (onSaved) onSaved();
+  });
+}
+
+function renderSlots(slots) {
+  const remaining = Math.max(slots.customMax - slots.customUsed, 0);
+  DOM.slotsRemaining.textContent = remaining.toLocaleString();
+  DOM.slotDescription.textContent =
+    `${slots.customUsed.toLocaleString()} of ${slots.customMax.toLocaleString()} custom slots used ` +
+    `(${slots.used.toLocaleString()} of ${slots.max.toLocaleString()} dynamic rules in total)`;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderCustomFilters() {
+  const fragment = document.createDocumentFragment();
+  
+  if (customFilters.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'list-empty';
+    empty.textContent = 'No custom rules yet';
+    fragment.appendChild(empty);
+  }
+  
+  customFilters.forEach(entry => fragment.appendChild(createFilterItem(entry)));
+  
+  DOM.customFilterList.innerHTML = '';
+  DOM.customFilterList.appendChild(fragment);
+}
+
+function createFilterItem(entry) {
+  const item = document.createElement('div');
+  item.className = 'setting-item';
+  
+  const text = document.createElement('div');
+  text.className = 'allowlist-entry custom-filter-text';
+  text.classList.toggle('disabled', !entry.enabled);
+  text.textContent = entry.text;
+  
+  const actions = document.createElement('div');
+  actions.className = 'subscription-actions';
+  
+  const toggle = document.createElement('label');
+  toggle.className = 'toggle-switch';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = entry.enabled;
+  const slider = document.createElement('span');
+  slider.className = 'toggle-slider';
+  toggle.appendChild(checkbox);
+  toggle.appendChild(slider);
+  
+  checkbox.addEventListener('change', () => {
+    const filters = customFilters.map(f => f.id === entry.id ? { ...f, enabled: checkbox.checked } : f);
+    saveCustomFilters(filters);
+  });
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'remove-btn';
+  removeBtn.title = 'Remove';
+  removeBtn.textContent = '✕';
+  removeBtn.addEventListener('click', () => {
+    saveCustomFilters(customFilters.filter(f => f.id !== entry.id), () => {
+      showNotification('Rule removed');
+    });
+  });
+  
+  actions.appendChild(toggle);
+  actions.appendChild(removeBtn);
+  
+  item.appendChild(text);
+  item.appendChild(actions);
+  
+  return item;
+}
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+let validateTimer = null;
+
+DOM.filterInput.addEventListener('input', () => {
+  clearTimeout(validateTimer);
+  validateTimer = setTimeout(validateInput, 150);
+});
+
+DOM.addFiltersBtn.addEventListener('click', () => {
+  if (validFilterLines.length === 0) return;
+  
+  const idBase = Date.now().toString(36);
+  const added = validFilterLines.map((text, i) => ({ id: `${idBase}-${i}`, text, enabled: true }));
+  
+  saveCustomFilters([...customFilters, ...added], () => {
+    DOM.filterInput.value = '';
+    validateInput();
+    showNotification(added.length === 1 ? 'Rule added' : `${added.length} rules added`);
+  });
+});
+
+DOM.goBack.addEventListener('click', () => {
+  window.location.href = 'settings.html';
+});
+
+// ============================================
+// NOTIFICATION SYSTEM
+// ============================================
+let notificationTimeout = null;
+
+function showNotification(message) {
+  const existing = document.querySelector('.notification');
+  if (existing) {
+    existing.remove();
+  }
+  
+  if (notificationTimeout) {
+    clearTimeout(notificationTimeout);
+  }
+  
+  const notification = document.createElement('div');
+  notification.className = 'notification';
+  notification.textContent = message;
+  document.body.appendChild(notification);
+  
+  requestAnimationFrame(() => {
+    notification.classList.add('show');
+  });
+  
+  notificationTimeout = setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.remove();
+      }
+    }, 300);
+  }, 2000);
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+loadCustomFilters();
\ No newline at end of file
@@ -89,9 +89,12 @@ function generateLeaderboardData(userCount) {
 // ============================================
 // LOAD LEADERBOARD
 // ============================================
+// All Time is the running total; the week and month come from the daily history
 function loadLeaderboard() {
-  chrome.storage.local.get(['totalBlockedAllTime'], (result) => {
-    userBlockedCount = result.totalBlockedAllTime || 0;
+  chrome.storage.local.get(['totalBlockedAllTime', 'statsHistory'], (result) => {
+    userBlockedCount = currentPeriod === 'all'
+      ? result.totalBlockedAllTime || 0
+      : StatsHistory.blockedInPeriod(result.statsHistory, currentPeriod);
     
     // Only regenerate if count changed significantly
     if (Math.abs(userBlockedCount - lastRenderedCount) >= 10 || lastRenderedCount === -1) {
@@ -99,9 +102,9 @@ function loadLeaderboard() {
       updateLeaderboardUI(leaderboardData);
       lastRenderedCount = userBlockedCount;
       
-      // Save rank
+      // Save rank (the dashboard shows the all-time one)
       const userEntry = leaderboardData.find(e => e.isUser);
-      if (userEntry) {
+      if (userEntry && currentPeriod === 'all') {
         chrome.storage.local.set({ userRank: userEntry.rank });
       }
     }
@@ -193,6 +196,7 @@ DOM.tabs.forEach(btn => {
     
     // Invalidate cache to force refresh
     lastRenderedCount = -1;
+    cachedLeaderboard = null;
     loadLeaderboard();
   });
 });
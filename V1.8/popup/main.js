@@ -9,11 +9,16 @@
 // Cache DOM references
 const DOM = {
   domain: document.getElementById('currentDomain'),
-  adCount: document.getElementById('adCount'),
-  trackerCount: document.getElementById('trackerCount'),
+  siteRow: document.querySelector('.site-row'),
+  sitePauseBtn: document.getElementById('sitePauseBtn'),
+  statsContainer: document.getElementById('statsContainer'),
+  hiddenRow: document.getElementById('hiddenRow'),
+  hiddenCount: document.getElementById('hiddenCount'),
   totalBlocked: document.getElementById('totalBlocked'),
   timeSaved: document.getElementById('timeSaved'),
   dataSaved: document.getElementById('dataSaved'),
+  savingsInfoBtn: document.getElementById('savingsInfoBtn'),
+  savingsExplainer: document.getElementById('savingsExplainer'),
   dailyStreak: document.getElementById('dailyStreak'),
   rankDisplay: document.getElementById('rankDisplay'),
   btnLearnMore: document.getElementById('btnLearnMore'),
@@ -28,6 +33,9 @@ const DOM = {
   achievementText: document.getElementById('achievementText'),
   achievementBarFill: document.getElementById('achievementBarFill'),
   powerBtn: document.getElementById('powerBtn'),
+  pauseMenu: document.getElementById('pauseMenu'),
+  pauseMenuTitle: document.getElementById('pauseMenuTitle'),
+  pauseAlways: document.getElementById('pauseAlways'),
   mainContent: document.getElementById('mainContent')
 };
 
@@ -108,9 +116,14 @@ function formatData(kb) {
 
 // State tracking - ONLY update DOM when values change
 let currentTabId = null;
+let currentHostname = null;
+let taxonomy = null;
+// Timed pauses ({ until }, null until = browser restart) for the countdowns
+const pauseState = { global: null, site: null };
+let pauseMenuTarget = null;
 let lastState = {
-  adCount: -1,
-  trackerCount: -1,
+  categoryCounts: '',
+  hiddenCount: -1,
   totalBlocked: -1,
   timeSaved: -1,
   dataSaved: -1,
@@ -144,6 +157,11 @@ async function init() {
       DOM.domain.textContent = domain;
       lastState.domain = domain;
     }
+    
+    if (urlObj.protocol === 'http:' || urlObj.protocol === 'https:') {
+      currentHostname = urlObj.hostname;
+      loadSitePauseState();
+    }
   } catch (e) {
     const domain = '<New Tab>';
     if (lastState.domain !== domain) {
@@ -152,8 +170,11 @@ async function init() {
     }
   }
 
+  taxonomy = await Taxonomy.load();
+
   loadPowerState();
   startUpdateLoop();
+  setInterval(renderPauseCountdowns, 1000);
   updateProfileDisplay();
   updateAchievementProgress();
 }
@@ -186,6 +207,35 @@ function stopUpdateLoop() {
 // ============================================
 // DIFFERENTIAL STATS UPDATE
 // ============================================
+// One row per category blocked on this page, in taxonomy order; the default
+// category always shows so an empty page still reads "Ads: 0"
+function renderCategoryStats(categoryCounts) {
+  if (!taxonomy) return;
+
+  const key = JSON.stringify(categoryCounts);
+  if (lastState.categoryCounts === key) return;
+  lastState.categoryCounts = key;
+
+  DOM.statsContainer.querySelectorAll('.category-stat').forEach(row => row.remove());
+
+  for (const category of taxonomy.categories) {
+    const count = categoryCounts[category.id] || 0;
+    if (count === 0 && category.id !== taxonomy.defaultCategory) continue;
+
+    const row = document.createElement('div');
+    row.className = 'stat-row category-stat';
+    row.title = category.id;
+
+    const label = document.createElement('strong');
+    label.textContent = `${category.icon} ${category.label}:`;
+    const value = document.createElement('span');
+    value.textContent = count;
+
+    row.append(label, ' ', value);
+    DOM.statsContainer.insertBefore(row, DOM.hiddenRow);
+  }
+}
+
 function updateStats() {
   if (currentTabId === null) return;
 
@@ -195,28 +245,14 @@ function updateStats() {
   }, (response) => {
     if (chrome.runtime.lastError || !response) return;
 
-    const blockedUrls = response.blockedUrls || [];
     const totalCount = response.totalCount || 0;
 
-    let adCount = 0;
-    let trackerCount = 0;
+    renderCategoryStats(response.categoryCounts || {});
 
-    for (const item of blockedUrls) {
-      if (item.category === 'Tracker') {
-        trackerCount++;
-      } else {
-        adCount++;
-      }
-    }
-
-    if (lastState.adCount !== adCount) {
-      DOM.adCount.textContent = adCount;
-      lastState.adCount = adCount;
-    }
-
-    if (lastState.trackerCount !== trackerCount) {
-      DOM.trackerCount.textContent = trackerCount;
-      lastState.trackerCount = trackerCount;
+    const hiddenCount = response.hiddenCount || 0;
+    if (lastState.hiddenCount !== hiddenCount) {
+      DOM.hiddenCount.textContent = hiddenCount;
+      lastState.hiddenCount = hiddenCount;
     }
 
     if (lastState.tabBlocked !== totalCount) {
@@ -396,18 +432,11 @@ function updateProfileDisplay() {
   const now = Date.now();
   
   // Force update every cycle (no cache for profile)
-  chrome.storage.local.get(['userXP', 'userLevel', 'equippedAvatar'], (result) => {
+  chrome.storage.local.get(['userXP', 'equippedAvatar'], (result) => {
     const xp = result.userXP || 0;
-    let level = result.userLevel || 1;
+    const { level } = calculateLevelFromXP(xp);
     const avatar = result.equippedAvatar || '👤';
     
-    // Recalculate level from XP to ensure accuracy
-    const calculated = calculateLevelFromXP(xp);
-    if (calculated.level !== level) {
-      level = calculated.level;
-      chrome.storage.local.set({ userLevel: level });
-    }
-    
     const data = { xp, level, avatar };
     
     applyProfileDisplay(data);
@@ -446,20 +475,24 @@ function applyProfileDisplay(data) {
 // ============================================
 // POWER BUTTON
 // ============================================
+// Switching off offers a timed pause first, so blocking comes back by itself
 DOM.powerBtn.addEventListener('click', () => {
-  chrome.storage.local.get(['adBlockerEnabled'], (result) => {
-    const currentState = result.adBlockerEnabled !== false;
-    const newState = !currentState;
-    
-    chrome.storage.local.set({ adBlockerEnabled: newState }, () => {
-      chrome.runtime.sendMessage({ action: 'toggleAdBlocker', enabled: newState });
-      updatePowerState(newState);
-    });
-  });
+  if (lastState.enabled) {
+    openPauseMenu('global');
+  } else {
+    setPowerState(true);
+  }
 });
 
+function setPowerState(enabled) {
+  chrome.storage.local.set({ adBlockerEnabled: enabled }, () => {
+    chrome.runtime.sendMessage({ action: 'toggleAdBlocker', enabled }, () => loadPowerState());
+  });
+}
+
 function loadPowerState() {
-  chrome.storage.local.get(['adBlockerEnabled'], (result) => {
+  chrome.storage.local.get(['adBlockerEnabled', 'blockingPause'], (result) => {
+    pauseState.global = result.blockingPause || null;
     const enabled = result.adBlockerEnabled !== false;
     updatePowerState(enabled);
   });
@@ -486,13 +519,179 @@ function updatePowerState(enabled) {
     if (!document.querySelector('.disabled-overlay')) {
       const overlay = document.createElement('div');
       overlay.className = 'disabled-overlay';
-      overlay.textContent = '🚫 Ad Blocker Disabled';
       document.body.appendChild(overlay);
     }
     DOM.mainContent.classList.add('disabled');
   }
+  
+  renderPauseCountdowns();
+}
+
+// ============================================
+// PAUSE ON THIS SITE
+// ============================================
+function loadSitePauseState() {
+  chrome.runtime.sendMessage({ 
+    action: 'getSiteAllowlistState',
+    hostname: currentHostname 
+  }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    chrome.storage.local.get(['sitePauses'], (result) => {
+      pauseState.site = (result.sitePauses || {})[currentHostname] || null;
+      updateSitePauseState(response.allowlisted);
+    });
+  });
+}
+
+function updateSitePauseState(paused) {
+  DOM.sitePauseBtn.hidden = false;
+  DOM.siteRow.classList.toggle('paused', paused);
+  DOM.sitePauseBtn.textContent = paused ? '▶ Resume on this site' : '⏸ Pause on this site';
+  DOM.sitePauseBtn.title = paused ? 'Start blocking on this site again' : 'Stop blocking on this site';
+  renderPauseCountdowns();
+}
+
+// Rules only apply to new requests, so reload to show the site as it really is
+function setSiteAllowlisted(allowlisted) {
+  chrome.runtime.sendMessage({ 
+    action: 'setSiteAllowlisted',
+    hostname: currentHostname,
+    allowlisted 
+  }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) return;
+    
+    pauseState.site = null;
+    updateSitePauseState(allowlisted);
+    chrome.tabs.reload(currentTabId);
+  });
+}
+
+DOM.sitePauseBtn.addEventListener('click', () => {
+  if (!currentHostname) return;
+  
+  if (DOM.siteRow.classList.contains('paused')) {
+    setSiteAllowlisted(false);
+  } else {
+    openPauseMenu('site');
+  }
+});
+
+// ============================================
+// TIMED PAUSE
+// ============================================
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+function describePause(pause) {
+  return pause.until === null ? 'until restart' : `${formatCountdown(pause.until - Date.now())} left`;
+}
+
+function renderPauseCountdowns() {
+  const overlay = document.querySelector('.disabled-overlay');
+  if (overlay) {
+    overlay.classList.toggle('timed', !!pauseState.global);
+    overlay.textContent = pauseState.global
+      ? `⏸ Paused ${describePause(pauseState.global)}`
+      : '🚫 Ad Blocker Disabled';
+  }
+  
+  if (pauseState.site && DOM.siteRow.classList.contains('paused')) {
+    DOM.sitePauseBtn.textContent = `▶ Resume (${describePause(pauseState.site)})`;
+  }
+  
+  // The background's alarm ends the pause; pick up the state it leaves behind
+  if (pauseState.global?.until && pauseState.global.until <= Date.now()) {
+    loadPowerState();
+  }
+  if (pauseState.site?.until && pauseState.site.until <= Date.now()) {
+    loadSitePauseState();
+  }
+}
+
+function openPauseMenu(target) {
+  pauseMenuTarget = target;
+  DOM.pauseMenuTitle.textContent = target === 'site' ? `Pause on ${currentHostname}` : 'Pause blocking everywhere';
+  DOM.pauseAlways.textContent = target === 'site' ? 'Always (add to allowlist)' : 'Until I turn it back on';
+  DOM.pauseMenu.hidden = false;
+}
+
+function closePauseMenu() {
+  DOM.pauseMenu.hidden = true;
+  pauseMenuTarget = null;
+}
+
+function startPause(target, minutes) {
+  if (target === 'site') {
+    chrome.runtime.sendMessage({ action: 'pauseSite', hostname: currentHostname, minutes }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+      
+      pauseState.site = response.pause;
+      updateSitePauseState(true);
+      chrome.tabs.reload(currentTabId);
+    });
+  } else {
+    chrome.runtime.sendMessage({ action: 'pauseBlocking', minutes }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+      loadPowerState();
+    });
+  }
 }
 
+DOM.pauseMenu.addEventListener('click', (e) => {
+  const option = e.target.closest('.pause-option');
+  if (!option) return;
+  
+  const target = pauseMenuTarget;
+  const choice = option.dataset.minutes;
+  closePauseMenu();
+  
+  if (choice === 'always') {
+    if (target === 'site') {
+      setSiteAllowlisted(true);
+    } else {
+      setPowerState(false);
+    }
+  } else {
+    startPause(target, choice === 'restart' ? null : Number(choice));
+  }
+});
+
+// Clicking anywhere else closes the menu
+document.addEventListener('click', (e) => {
+  if (DOM.pauseMenu.hidden) return;
+  if (DOM.pauseMenu.contains(e.target) || e.target === DOM.powerBtn || e.target === DOM.sitePauseBtn) return;
+  closePauseMenu();
+});
+
+// ============================================
+// SAVINGS EXPLAINER
+// ============================================
+DOM.savingsInfoBtn.addEventListener('click', () => {
+  if (!DOM.savingsExplainer.hidden) {
+    DOM.savingsExplainer.hidden = true;
+    return;
+  }
+  
+  chrome.storage.local.get(['savingsBasis'], (result) => {
+    DOM.savingsExplainer.innerHTML = '';
+    SavingsModel.explain(result.savingsBasis || {}).forEach(line => {
+      const p = document.createElement('p');
+      p.textContent = line;
+      DOM.savingsExplainer.appendChild(p);
+    });
+    DOM.savingsExplainer.hidden = false;
+  });
+});
+
 // ============================================
 // VISIBILITY HANDLING
 // ============================================
@@ -7,20 +7,23 @@ const DOM = {
   currentXP: document.getElementById('currentXP'),
   currentCoins: document.getElementById('currentCoins'),
   profileBlocked: document.getElementById('profileBlocked'),
+  categoryBreakdown: document.getElementById('categoryBreakdown'),
+  savingsExplainerText: document.getElementById('savingsExplainerText'),
   nextLevel: document.getElementById('nextLevel'),
   xpCurrent: document.getElementById('xpCurrent'),
   xpNeeded: document.getElementById('xpNeeded'),
   xpBarFill: document.getElementById('xpBarFill'),
   openShopBtn: document.getElementById('openShopBtn'),
   shareBtn: document.getElementById('shareBtn'),
-  viewAchievementsBtn: document.getElementById('viewAchievementsBtn')
+  viewAchievementsBtn: document.getElementById('viewAchievementsBtn'),
+  viewStatsBtn: document.getElementById('viewStatsBtn'),
+  viewTopBtn: document.getElementById('viewTopBtn'),
+  viewEntitiesBtn: document.getElementById('viewEntitiesBtn')
 };
 
 // XP/Level system configuration
 const XP_PER_LEVEL_BASE = 100;
 const XP_MULTIPLIER = 1.5;
-const XP_PER_AD = 3;
-const COINS_PER_AD = 1;
 
 function calculateXPNeeded(level) {
   return Math.floor(XP_PER_LEVEL_BASE * Math.pow(XP_MULTIPLIER, level - 1));
@@ -38,17 +41,53 @@ function calculateLevelFromXP(xp) {
   return { level, currentLevelXP: xp - totalXP };
 }
 
+// Lifetime blocks per taxonomy category, largest first
+async function renderCategoryBreakdown(categoryTotals) {
+  const taxonomy = await Taxonomy.load();
+  const rows = taxonomy.categories
+    .map(category => ({ category, count: categoryTotals[category.id] || 0 }))
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => b.count - a.count);
+
+  DOM.categoryBreakdown.innerHTML = '';
+  DOM.categoryBreakdown.style.display = rows.length > 0 ? 'block' : 'none';
+
+  for (const { category, count } of rows) {
+    const row = document.createElement('div');
+    row.className = 'category-breakdown-row';
+
+    const label = document.createElement('span');
+    label.textContent = `${category.icon} ${category.label}`;
+    const value = document.createElement('strong');
+    value.textContent = count.toLocaleString();
+
+    row.append(label, value);
+    DOM.categoryBreakdown.appendChild(row);
+  }
+}
+
+function renderSavingsExplainer(savingsBasis) {
+  DOM.savingsExplainerText.innerHTML = '';
+  SavingsModel.explain(savingsBasis).forEach(line => {
+    const p = document.createElement('p');
+    p.textContent = line;
+    DOM.savingsExplainerText.appendChild(p);
+  });
+}
+
 function loadProfile() {
   chrome.storage.local.get([
     'totalBlockedAllTime',
+    'categoryTotals',
+    'savingsBasis',
     'userXP',
-    'userLevel',
     'userCoins',
     'equippedAvatar'
   ], (result) => {
     const totalBlocked = result.totalBlockedAllTime || 0;
-    const xp = result.userXP !== undefined ? result.userXP : totalBlocked * XP_PER_AD;
-    const coins = result.userCoins !== undefined ? result.userCoins : totalBlocked * COINS_PER_AD;
+    // The storage migrations back-fill both for installs that predate them
+    const xp = result.userXP || 0;
+    const coins = result.userCoins || 0;
     const equippedAvatar = result.equippedAvatar || '👤';
     
     // Calculate level from XP
@@ -63,22 +102,13 @@ function loadProfile() {
     DOM.currentXP.textContent = xp.toLocaleString();
     DOM.currentCoins.textContent = coins.toLocaleString();
     DOM.profileBlocked.textContent = totalBlocked.toLocaleString();
+    renderCategoryBreakdown(result.categoryTotals || {});
+    renderSavingsExplainer(result.savingsBasis || {});
     
     DOM.nextLevel.textContent = level + 1;
     DOM.xpCurrent.textContent = currentLevelXP;
     DOM.xpNeeded.textContent = xpNeeded;
     DOM.xpBarFill.style.width = `${xpProgress}%`;
-    
-    // Save calculated level and initial XP/coins if not set
-    if (result.userXP === undefined || result.userCoins === undefined || result.userLevel === undefined) {
-      chrome.storage.local.set({
-        userXP: xp,
-        userCoins: coins,
-        userLevel: level
-      });
-    } else if (result.userLevel !== level) {
-      chrome.storage.local.set({ userLevel: level });
-    }
   });
 }
 
@@ -99,6 +129,18 @@ DOM.viewAchievementsBtn.addEventListener('click', () => {
   window.location.href = 'achievements.html';
 });
 
+DOM.viewStatsBtn.addEventListener('click', () => {
+  window.location.href = 'stats.html';
+});
+
+DOM.viewTopBtn.addEventListener('click', () => {
+  window.location.href = 'top.html';
+});
+
+DOM.viewEntitiesBtn.addEventListener('click', () => {
+  window.location.href = 'entities.html';
+});
+
 // Auto-refresh
 let refreshInterval;
 
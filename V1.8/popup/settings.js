@@ -12,7 +12,30 @@ const DOM = {
   logsCount: document.getElementById('logsCount'),
   clearLogsBtn: document.getElementById('clearLogsBtn'),
   resetAllBtn: document.getElementById('resetAllBtn'),
+  exportBackupBtn: document.getElementById('exportBackupBtn'),
+  importBackupBtn: document.getElementById('importBackupBtn'),
+  backupFileInput: document.getElementById('backupFileInput'),
+  backupPreview: document.getElementById('backupPreview'),
+  backupPreviewTitle: document.getElementById('backupPreviewTitle'),
+  backupPreviewRows: document.getElementById('backupPreviewRows'),
+  mergeBackupBtn: document.getElementById('mergeBackupBtn'),
+  replaceBackupBtn: document.getElementById('replaceBackupBtn'),
+  cancelBackupBtn: document.getElementById('cancelBackupBtn'),
   showBadgeToggle: document.getElementById('showBadgeToggle'),
+  subscriptionList: document.getElementById('subscriptionList'),
+  subscriptionForm: document.getElementById('subscriptionForm'),
+  subscriptionInput: document.getElementById('subscriptionInput'),
+  subscriptionAddBtn: document.getElementById('subscriptionAddBtn'),
+  editFiltersBtn: document.getElementById('editFiltersBtn'),
+  openTesterBtn: document.getElementById('openTesterBtn'),
+  allowlistForm: document.getElementById('allowlistForm'),
+  allowlistInput: document.getElementById('allowlistInput'),
+  allowlistEntries: document.getElementById('allowlistEntries'),
+  urlCleaningToggle: document.getElementById('urlCleaningToggle'),
+  urlCleaningForm: document.getElementById('urlCleaningForm'),
+  urlCleaningInput: document.getElementById('urlCleaningInput'),
+  urlCleaningExceptions: document.getElementById('urlCleaningExceptions'),
+  privacyHeaderList: document.getElementById('privacyHeaderList'),
   goBackBtn: document.getElementById('goBack')
 };
 
@@ -86,6 +109,165 @@ DOM.resetAllBtn.addEventListener('click', () => {
   }
 });
 
+// ============================================
+// BACKUP
+// ============================================
+// The parsed file waiting for Merge or Replace
+let pendingBackup = null;
+
+DOM.exportBackupBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'exportBackup' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(response.error);
+      return;
+    }
+    
+    const { backup } = response;
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `adblock4all-backup-${backup.createdAt.substring(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    
+    showNotification('Backup exported');
+  });
+});
+
+// Opening a file chooser closes the popup and this page with it, so from
+// the popup the import continues in a tab
+function isInPopup() {
+  return chrome.extension.getViews({ type: 'popup' }).includes(window);
+}
+
+DOM.importBackupBtn.addEventListener('click', () => {
+  if (isInPopup()) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('popup/settings.html#import') });
+    window.close();
+    return;
+  }
+  
+  DOM.backupFileInput.click();
+});
+
+DOM.backupFileInput.addEventListener('change', () => {
+  const file = DOM.backupFileInput.files[0];
+  DOM.backupFileInput.value = '';
+  if (!file) return;
+  
+  file.text().then((text) => {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      showNotification('That file is not a valid backup');
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ action: 'previewBackup', backup }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      
+      if (!response.success) {
+        closeBackupPreview();
+        showNotification(response.error);
+        return;
+      }
+      
+      pendingBackup = backup;
+      renderBackupPreview(backup, response.rows);
+    });
+  });
+});
+
+function createBackupRow(cells, className) {
+  const row = document.createElement('tr');
+  row.className = className;
+  
+  cells.forEach(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  
+  return row;
+}
+
+function renderBackupPreview(backup, rows) {
+  const changed = rows.filter(row => row.changed).length;
+  const created = new Date(backup.createdAt).toLocaleString();
+  DOM.backupPreviewTitle.textContent =
+    `Backup from ${created} (v${backup.extensionVersion || '?'}): ${changed} of ${rows.length} items differ from this browser`;
+  
+  const fragment = document.createDocumentFragment();
+  let group = null;
+  
+  rows.forEach(row => {
+    if (row.group !== group) {
+      group = row.group;
+      const header = createBackupRow([group], 'backup-group');
+      header.firstChild.colSpan = 4;
+      fragment.appendChild(header);
+    }
+    
+    fragment.appendChild(createBackupRow(
+      [row.label, row.current, row.incoming, row.merged],
+      row.changed ? 'changed' : 'unchanged'
+    ));
+  });
+  
+  DOM.backupPreviewRows.innerHTML = '';
+  DOM.backupPreviewRows.appendChild(fragment);
+  DOM.backupPreview.hidden = false;
+}
+
+function closeBackupPreview() {
+  pendingBackup = null;
+  DOM.backupPreview.hidden = true;
+}
+
+function setBackupButtonsDisabled(disabled) {
+  DOM.mergeBackupBtn.disabled = disabled;
+  DOM.replaceBackupBtn.disabled = disabled;
+}
+
+function importBackup(mode) {
+  setBackupButtonsDisabled(true);
+  
+  chrome.runtime.sendMessage({ action: 'importBackup', backup: pendingBackup, mode }, (response) => {
+    setBackupButtonsDisabled(false);
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(response.error);
+      return;
+    }
+    
+    closeBackupPreview();
+    showNotification(mode === 'replace' ? 'Backup restored' : 'Backup merged');
+    
+    // Force full refresh
+    lastSettings = { totalBlocked: -1, logsCount: -1, showBadge: null };
+    loadSettings();
+    loadSubscriptions();
+    loadAllowlist();
+    loadUrlCleaning();
+    loadPrivacyHeaders();
+  });
+}
+
+DOM.mergeBackupBtn.addEventListener('click', () => importBackup('merge'));
+
+DOM.replaceBackupBtn.addEventListener('click', () => {
+  if (confirm('Replace your data with the backup? Everything the backup contains overwrites what is here, including your profile and statistics.')) {
+    importBackup('replace');
+  }
+});
+
+DOM.cancelBackupBtn.addEventListener('click', closeBackupPreview);
+
 // ============================================
 // TOGGLE BADGE
 // ============================================
@@ -99,8 +281,416 @@ DOM.showBadgeToggle.addEventListener('change', () => {
 });
 
 // ============================================
-// BACK BUTTON
+// FILTER LIST SUBSCRIPTIONS
+// ============================================
+let lastSubscriptionsHash = '';
+
+function formatAge(timestamp) {
+  if (!timestamp) return 'never';
+  
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / 1440)}d ago`;
+}
+
+function loadSubscriptions() {
+  chrome.runtime.sendMessage({ action: 'getSubscriptions' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderSubscriptions(response.subscriptions);
+  });
+}
+
+function renderSubscriptions(subscriptions) {
+  // Skip re-rendering (and losing hover/focus) when nothing changed
+  const hash = JSON.stringify(subscriptions);
+  if (hash === lastSubscriptionsHash) return;
+  lastSubscriptionsHash = hash;
+  
+  const fragment = document.createDocumentFragment();
+  subscriptions.forEach(sub => fragment.appendChild(createSubscriptionItem(sub)));
+  
+  DOM.subscriptionList.innerHTML = '';
+  DOM.subscriptionList.appendChild(fragment);
+}
+
+function createSubscriptionItem(sub) {
+  const item = document.createElement('div');
+  item.className = 'setting-item subscription-item';
+  
+  const info = document.createElement('div');
+  info.className = 'setting-info';
+  
+  const label = document.createElement('div');
+  label.className = 'setting-label';
+  label.textContent = sub.title;
+  
+  const url = document.createElement('div');
+  url.className = 'subscription-url';
+  url.textContent = sub.url;
+  
+  const meta = document.createElement('div');
+  meta.className = 'subscription-meta';
+  const parts = [`Updated ${formatAge(sub.lastUpdated)}`];
+  if (sub.version) parts.push(`v${sub.version}`);
+  if (sub.filterCount) parts.push(`${sub.filterCount.toLocaleString()} filters`);
+  if (sub.diff) parts.push(`+${sub.diff.added} / −${sub.diff.removed}`);
+  if (sub.enabled && sub.nextUpdate) parts.push(`next ${new Date(sub.nextUpdate).toLocaleTimeString()}`);
+  meta.textContent = parts.join(' · ');
+  
+  info.appendChild(label);
+  info.appendChild(url);
+  info.appendChild(meta);
+  
+  if (sub.error) {
+    const error = document.createElement('div');
+    error.className = 'subscription-error';
+    error.textContent = `⚠️ ${sub.error} (checked ${formatAge(sub.lastChecked)})`;
+    info.appendChild(error);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'subscription-actions';
+  
+  const toggle = document.createElement('label');
+  toggle.className = 'toggle-switch';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = sub.enabled;
+  const slider = document.createElement('span');
+  slider.className = 'toggle-slider';
+  toggle.appendChild(checkbox);
+  toggle.appendChild(slider);
+  
+  checkbox.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ 
+      action: 'setSubscriptionEnabled',
+      id: sub.id,
+      enabled: checkbox.checked 
+    }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      
+      if (!response.success) {
+        checkbox.checked = !checkbox.checked;
+        showNotification(response.error);
+        return;
+      }
+      
+      renderSubscriptions(response.subscriptions);
+      showNotification(checkbox.checked ? `${sub.title} enabled` : `${sub.title} disabled`);
+    });
+  });
+  
+  const buttons = document.createElement('div');
+  
+  const updateBtn = document.createElement('button');
+  updateBtn.className = 'update-btn';
+  updateBtn.title = 'Update now';
+  updateBtn.textContent = '🔄';
+  updateBtn.addEventListener('click', () => {
+    updateBtn.disabled = true;
+    chrome.runtime.sendMessage({ action: 'updateSubscriptionNow', id: sub.id }, (response) => {
+      updateBtn.disabled = false;
+      if (chrome.runtime.lastError || !response) return;
+      
+      showNotification(response.success ? `${sub.title} is up to date` : `Update failed: ${response.subscription?.error || response.error}`);
+      loadSubscriptions();
+    });
+  });
+  buttons.appendChild(updateBtn);
+  
+  if (!sub.builtin) {
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => {
+      if (!confirm(`Remove the filter list "${sub.title}"?`)) return;
+      
+      chrome.runtime.sendMessage({ action: 'removeSubscription', id: sub.id }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) return;
+        renderSubscriptions(response.subscriptions);
+        showNotification(`${sub.title} removed`);
+      });
+    });
+    buttons.appendChild(removeBtn);
+  }
+  
+  actions.appendChild(toggle);
+  actions.appendChild(buttons);
+  
+  item.appendChild(info);
+  item.appendChild(actions);
+  
+  return item;
+}
+
+DOM.subscriptionForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  
+  DOM.subscriptionAddBtn.disabled = true;
+  chrome.runtime.sendMessage({ 
+    action: 'addSubscription',
+    url: DOM.subscriptionInput.value 
+  }, (response) => {
+    DOM.subscriptionAddBtn.disabled = false;
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(response.error);
+      return;
+    }
+    
+    DOM.subscriptionInput.value = '';
+    loadSubscriptions();
+    showNotification(response.subscription?.error
+      ? `Added, but the first download failed: ${response.subscription.error}`
+      : 'Filter list added');
+  });
+});
+
+// ============================================
+// ALLOWLIST
 // ============================================
+function loadAllowlist() {
+  chrome.runtime.sendMessage({ action: 'getAllowlist' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderAllowlist(response.entries);
+  });
+}
+
+function renderAllowlist(entries) {
+  const fragment = document.createDocumentFragment();
+  
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'list-empty';
+    empty.textContent = 'No paused sites';
+    fragment.appendChild(empty);
+  }
+  
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'setting-item';
+    
+    const label = document.createElement('div');
+    label.className = 'allowlist-entry';
+    label.textContent = entry;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'removeAllowlistEntry', entry }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) return;
+        renderAllowlist(response.entries);
+        showNotification(`${entry} removed from allowlist`);
+      });
+    });
+    
+    item.appendChild(label);
+    item.appendChild(removeBtn);
+    fragment.appendChild(item);
+  });
+  
+  DOM.allowlistEntries.innerHTML = '';
+  DOM.allowlistEntries.appendChild(fragment);
+}
+
+DOM.allowlistForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  
+  chrome.runtime.sendMessage({ 
+    action: 'addAllowlistEntry',
+    entry: DOM.allowlistInput.value 
+  }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(response.error);
+      return;
+    }
+    
+    DOM.allowlistInput.value = '';
+    renderAllowlist(response.entries);
+    showNotification('Site added to allowlist');
+  });
+});
+
+// ============================================
+// URL CLEANING
+// ============================================
+function loadUrlCleaning() {
+  chrome.runtime.sendMessage({ action: 'getUrlCleaning' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderUrlCleaning(response);
+  });
+}
+
+function renderUrlCleaning({ enabled, exceptions }) {
+  DOM.urlCleaningToggle.checked = enabled;
+  
+  const fragment = document.createDocumentFragment();
+  
+  if (exceptions.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'list-empty';
+    empty.textContent = 'No exceptions';
+    fragment.appendChild(empty);
+  }
+  
+  exceptions.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'setting-item';
+    
+    const label = document.createElement('div');
+    label.className = 'allowlist-entry';
+    label.textContent = entry;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'removeUrlCleaningException', entry }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) return;
+        renderUrlCleaning(response);
+        showNotification(`${entry} removed from exceptions`);
+      });
+    });
+    
+    item.appendChild(label);
+    item.appendChild(removeBtn);
+    fragment.appendChild(item);
+  });
+  
+  DOM.urlCleaningExceptions.innerHTML = '';
+  DOM.urlCleaningExceptions.appendChild(fragment);
+}
+
+DOM.urlCleaningToggle.addEventListener('change', () => {
+  const enabled = DOM.urlCleaningToggle.checked;
+  
+  chrome.runtime.sendMessage({ action: 'setUrlCleaningEnabled', enabled }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      DOM.urlCleaningToggle.checked = !enabled;
+      showNotification(response.error);
+      return;
+    }
+    
+    showNotification(enabled ? 'URL cleaning enabled' : 'URL cleaning disabled');
+  });
+});
+
+DOM.urlCleaningForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  
+  chrome.runtime.sendMessage({ 
+    action: 'addUrlCleaningException',
+    entry: DOM.urlCleaningInput.value 
+  }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    
+    if (!response.success) {
+      showNotification(response.error);
+      return;
+    }
+    
+    DOM.urlCleaningInput.value = '';
+    renderUrlCleaning(response);
+    showNotification('Site added to exceptions');
+  });
+});
+
+// ============================================
+// PRIVACY HEADERS
+// ============================================
+function loadPrivacyHeaders() {
+  chrome.runtime.sendMessage({ action: 'getPrivacyHeaders' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderPrivacyHeaders(response.protections);
+  });
+}
+
+function renderPrivacyHeaders(protections) {
+  const fragment = document.createDocumentFragment();
+  protections.forEach(protection => fragment.appendChild(createPrivacyHeaderItem(protection)));
+  
+  DOM.privacyHeaderList.innerHTML = '';
+  DOM.privacyHeaderList.appendChild(fragment);
+}
+
+function createPrivacyHeaderItem(protection) {
+  const item = document.createElement('div');
+  item.className = 'setting-item';
+  
+  const info = document.createElement('div');
+  info.className = 'setting-info';
+  
+  const label = document.createElement('div');
+  label.className = 'setting-label';
+  label.textContent = protection.label;
+  
+  const description = document.createElement('div');
+  description.className = 'setting-description';
+  description.textContent = protection.description;
+  
+  info.appendChild(label);
+  info.appendChild(description);
+  
+  const toggleWrapper = document.createElement('div');
+  toggleWrapper.className = 'setting-toggle';
+  
+  const toggle = document.createElement('label');
+  toggle.className = 'toggle-switch';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = protection.enabled;
+  const slider = document.createElement('span');
+  slider.className = 'toggle-slider';
+  toggle.appendChild(checkbox);
+  toggle.appendChild(slider);
+  toggleWrapper.appendChild(toggle);
+  
+  checkbox.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ 
+      action: 'setPrivacyHeaderEnabled',
+      id: protection.id,
+      enabled: checkbox.checked 
+    }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      
+      if (!response.success) {
+        checkbox.checked = !checkbox.checked;
+        showNotification(response.error);
+        return;
+      }
+      
+      showNotification(checkbox.checked ? `${protection.label} enabled` : `${protection.label} disabled`);
+    });
+  });
+  
+  item.appendChild(info);
+  item.appendChild(toggleWrapper);
+  
+  return item;
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+DOM.editFiltersBtn.addEventListener('click', () => {
+  window.location.href = 'filters.html';
+});
+
+DOM.openTesterBtn.addEventListener('click', () => {
+  window.location.href = 'tester.html';
+});
+
 DOM.goBackBtn.addEventListener('click', () => {
   window.location.href = 'main.html';
 });
@@ -149,7 +739,10 @@ let refreshInterval;
 
 function startAutoRefresh() {
   // Reduced frequency from 1000ms to 3000ms
-  refreshInterval = setInterval(loadSettings, 3000);
+  refreshInterval = setInterval(() => {
+    loadSettings();
+    loadSubscriptions();
+  }, 3000);
 }
 
 function stopAutoRefresh() {
@@ -173,8 +766,16 @@ document.addEventListener('visibilitychange', () => {
 // INITIALIZATION
 // ============================================
 loadSettings();
+loadSubscriptions();
+loadAllowlist();
+loadUrlCleaning();
+loadPrivacyHeaders();
 startAutoRefresh();
 
+if (window.location.hash === '#import') {
+  showNotification('Click Import again to choose your backup file');
+}
+
 window.addEventListener('unload', () => {
   stopAutoRefresh();
   if (notificationTimeout) {
@@ -0,0 +1,174 @@
+// ============================================
+// STATS.JS - Statistics history
+// Charts the daily buckets the background keeps in statsHistory: blocks,
+// categories, top sites and time/data saved over 7, 30 or 365 days.
+// ============================================
+
+// Cache DOM elements
+const DOM = {
+  goBack: document.getElementById('goBack'),
+  rangeTabs: document.querySelectorAll('#rangeTabs .tab-btn'),
+  rangeBlocked: document.getElementById('rangeBlocked'),
+  rangeTimeSaved: document.getElementById('rangeTimeSaved'),
+  rangeDataSaved: document.getElementById('rangeDataSaved'),
+  blockedChart: document.getElementById('blockedChart'),
+  hourlyChart: document.getElementById('hourlyChart'),
+  rangeCategories: document.getElementById('rangeCategories'),
+  rangeSites: document.getElementById('rangeSites'),
+  timeChart: document.getElementById('timeChart'),
+  dataChart: document.getElementById('dataChart')
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+let rangeDays = 7;
+let taxonomy = null;
+
+// ============================================
+// FORMATTING
+// ============================================
+function formatTime(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function formatData(kb) {
+  kb = Math.round(kb);
+  if (kb < 1024) return `${kb} KB`;
+  if (kb < 1048576) return `${(kb / 1024).toFixed(1)} MB`;
+  return `${(kb / 1048576).toFixed(2)} GB`;
+}
+
+// "2026-10-18" -> "18 Oct", "2026-10" -> "Oct"
+function formatLabel(label) {
+  const [, month, day] = label.split('-');
+  const monthName = MONTH_NAMES[Number(month) - 1];
+  return day ? `${Number(day)} ${monthName}` : monthName;
+}
+
+// ============================================
+// CHARTS
+// ============================================
+/**
+ * Bar chart of points[i][key], with a tooltip per bar. Only the first and
+ * last labels are printed, since a year of days doesn't fit under 300px.
+ */
+function renderBarChart(container, points, key, format, labelOf = point => formatLabel(point.label)) {
+  const max = Math.max(...points.map(point => point[key]));
+  container.innerHTML = '';
+
+  if (max === 0) {
+    container.innerHTML = '<div class="list-empty">Nothing recorded in this period yet</div>';
+    return;
+  }
+
+  const bars = document.createElement('div');
+  bars.className = 'stats-bars';
+
+  for (const point of points) {
+    const bar = document.createElement('div');
+    bar.className = 'stats-bar';
+    bar.style.height = `${Math.max(point[key] > 0 ? 2 : 0, (point[key] / max) * 100)}%`;
+    bar.title = `${labelOf(point)}: ${format(point[key])}`;
+    bars.appendChild(bar);
+  }
+
+  const axis = document.createElement('div');
+  axis.className = 'stats-axis';
+  const first = document.createElement('span');
+  first.textContent = labelOf(points[0]);
+  const peak = document.createElement('span');
+  peak.textContent = `max ${format(max)}`;
+  const last = document.createElement('span');
+  last.textContent = labelOf(points[points.length - 1]);
+  axis.append(first, peak, last);
+
+  container.append(bars, axis);
+}
+
+function renderBreakdown(container, rows, emptyText) {
+  container.innerHTML = '';
+  container.style.display = 'block';
+
+  if (rows.length === 0) {
+    container.innerHTML = `<div class="list-empty">${emptyText}</div>`;
+    return;
+  }
+
+  for (const [name, count] of rows) {
+    const row = document.createElement('div');
+    row.className = 'category-breakdown-row';
+
+    const label = document.createElement('span');
+    label.textContent = name;
+    const value = document.createElement('strong');
+    value.textContent = count.toLocaleString();
+
+    row.append(label, value);
+    container.appendChild(row);
+  }
+}
+
+// ============================================
+// LOADING
+// ============================================
+function renderStats(history) {
+  const summary = StatsHistory.summarize(history, rangeDays);
+
+  DOM.rangeBlocked.textContent = summary.totals.blocked.toLocaleString();
+  DOM.rangeTimeSaved.textContent = formatTime(summary.totals.timeSaved);
+  DOM.rangeDataSaved.textContent = formatData(summary.totals.dataSaved);
+
+  renderBarChart(DOM.blockedChart, summary.points, 'blocked', count => count.toLocaleString());
+  renderBarChart(DOM.timeChart, summary.points, 'timeSaved', formatTime);
+  renderBarChart(DOM.dataChart, summary.points, 'dataSaved', formatData);
+  renderBarChart(
+    DOM.hourlyChart,
+    summary.hours.map((blocked, hour) => ({ hour, blocked })),
+    'blocked',
+    count => count.toLocaleString(),
+    point => `${String(point.hour).padStart(2, '0')}:00`
+  );
+
+  const categories = taxonomy.categories
+    .map(category => [`${category.icon} ${category.label}`, summary.categories[category.id] || 0])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+  renderBreakdown(DOM.rangeCategories, categories, 'No blocks in this period yet');
+
+  const sites = summary.otherSites > 0
+    ? [...summary.topSites, ['Other sites', summary.otherSites]]
+    : summary.topSites;
+  renderBreakdown(DOM.rangeSites, sites, 'No blocks in this period yet');
+}
+
+function loadStats() {
+  chrome.storage.local.get(['statsHistory'], (result) => {
+    renderStats(result.statsHistory);
+  });
+}
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+DOM.rangeTabs.forEach(btn => {
+  btn.addEventListener('click', () => {
+    DOM.rangeTabs.forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    rangeDays = Number(btn.dataset.days);
+    loadStats();
+  });
+});
+
+DOM.goBack.addEventListener('click', () => {
+  window.location.href = 'profile.html';
+});
+
+// ============================================
+// INITIALIZATION
+// ============================================
+Taxonomy.load().then((loaded) => {
+  taxonomy = loaded;
+  loadStats();
+});
\ No newline at end of file
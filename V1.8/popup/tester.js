@@ -0,0 +1,179 @@
+// ============================================
+// TESTER.JS - Filter tester
+// Runs URLs through the background matcher and DNR's testMatchOutcome, so a
+// rule contribution or category tweak can be checked without browsing.
+// ============================================
+
+const RESOURCE_TYPES = [
+  'script', 'image', 'stylesheet', 'xmlhttprequest', 'sub_frame', 'main_frame',
+  'font', 'media', 'object', 'ping', 'websocket', 'csp_report', 'other'
+];
+
+// Cache DOM elements
+const DOM = {
+  goBack: document.getElementById('goBack'),
+  urlInput: document.getElementById('urlInput'),
+  typeSelect: document.getElementById('typeSelect'),
+  initiatorInput: document.getElementById('initiatorInput'),
+  testBtn: document.getElementById('testBtn'),
+  testerNotice: document.getElementById('testerNotice'),
+  results: document.getElementById('results')
+};
+
+// Subscription id -> title, for naming the list a rule came from
+const listTitles = new Map([['custom', 'My Filters']]);
+
+// ============================================
+// RENDERING
+// ============================================
+function describeSource(listId, line) {
+  const listName = listTitles.get(listId) || listId || '';
+  return line ? `${listName}, line ${line}` : listName;
+}
+
+function describeDnr(dnr) {
+  if (!dnr.available) return 'unavailable';
+  if (dnr.matchedRules.length === 0) return 'no rule';
+
+  return dnr.matchedRules
+    .map(({ rulesetId, ruleId, action }) => `${rulesetId} #${ruleId}${action ? ` (${action})` : ''}`)
+    .join(', ');
+}
+
+function createCell(row, text, className = '') {
+  const cell = document.createElement('td');
+  cell.className = className;
+  cell.textContent = text;
+  row.appendChild(cell);
+  return cell;
+}
+
+function renderResults(results) {
+  const table = document.createElement('table');
+  table.className = 'tester-table';
+
+  const header = document.createElement('tr');
+  ['URL', 'Verdict', 'Rule', 'List', 'Category', 'DNR'].forEach(title => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    header.appendChild(th);
+  });
+  table.appendChild(header);
+
+  for (const result of results) {
+    const row = document.createElement('tr');
+    createCell(row, result.url, 'tester-url');
+
+    if (result.error) {
+      createCell(row, result.error, 'verdict-error').colSpan = 5;
+      table.appendChild(row);
+      continue;
+    }
+
+    createCell(row, result.verdict, `verdict-${result.verdict.replace(' ', '-')}`);
+
+    const ruleCell = createCell(row, result.rule || '-', 'tester-rule');
+    if (result.blockedBy) {
+      // An exception won: show what it overrode
+      const overridden = document.createElement('div');
+      overridden.className = 'tester-overridden';
+      overridden.textContent = `overrides ${result.blockedBy.rule} (${describeSource(result.blockedBy.listId, result.blockedBy.line)})`;
+      ruleCell.appendChild(overridden);
+    }
+
+    createCell(row, result.rule ? describeSource(result.listId, result.line) : '-');
+    createCell(row, result.category || '-');
+    createCell(row, describeDnr(result.dnr));
+    table.appendChild(row);
+  }
+
+  DOM.results.innerHTML = '';
+  DOM.results.appendChild(table);
+}
+
+// Things outside the filter lists that change what actually happens
+function renderNotice(results) {
+  const notes = [];
+
+  if (results.some(result => result.blockingEnabled === false)) {
+    notes.push('The blocker is switched off, so nothing is blocked right now.');
+  }
+  if (results.some(result => result.siteAllowlisted)) {
+    notes.push('The initiator site is on your allowlist, so its requests are not blocked.');
+  }
+  if (results.some(result => result.dnr && !result.dnr.available)) {
+    notes.push('DNR test results need Chrome 103+ and an unpacked install.');
+  }
+
+  DOM.testerNotice.textContent = notes.join(' ');
+  DOM.testerNotice.style.display = notes.length > 0 ? 'block' : 'none';
+}
+
+// ============================================
+// TESTING
+// ============================================
+function runTest() {
+  const urls = DOM.urlInput.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (urls.length === 0) {
+    DOM.results.innerHTML = '<div class="list-empty">Paste one or more URLs and press Test</div>';
+    return;
+  }
+
+  DOM.testBtn.disabled = true;
+  DOM.results.innerHTML = '<div class="list-empty">Testing...</div>';
+
+  chrome.runtime.sendMessage({
+    action: 'testUrls',
+    urls,
+    type: DOM.typeSelect.value,
+    initiator: DOM.initiatorInput.value.trim()
+  }, (response) => {
+    DOM.testBtn.disabled = false;
+
+    if (!response?.success) {
+      DOM.results.innerHTML = '';
+      const error = document.createElement('div');
+      error.className = 'list-empty';
+      error.textContent = response?.error || 'Could not reach the background page';
+      DOM.results.appendChild(error);
+      return;
+    }
+
+    renderNotice(response.results);
+    renderResults(response.results);
+  });
+}
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+DOM.testBtn.addEventListener('click', runTest);
+
+DOM.urlInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    runTest();
+  }
+});
+
+DOM.goBack.addEventListener('click', () => {
+  window.location.href = 'settings.html';
+});
+
+// ============================================
+// INITIALIZATION
+// ============================================
+RESOURCE_TYPES.forEach(type => {
+  const option = document.createElement('option');
+  option.value = type;
+  option.textContent = type;
+  DOM.typeSelect.appendChild(option);
+});
+
+chrome.runtime.sendMessage({ action: 'getSubscriptions' }, (response) => {
+  if (!response) return;
+  response.subscriptions.forEach(sub => listTitles.set(sub.id, sub.title));
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+// ============================================
+// TOP.JS - Top sites and top trackers
+// Reads the cross-session siteStats totals: the sites that load the most
+// blocked requests, and the third-party domains blocked on the most sites.
+// ============================================
+
+const TOP_LIMIT = 50;
+
+const VIEWS = {
+  sites: {
+    intro: 'Sites that tried to load the most blocked requests, across all your browsing.',
+    empty: 'No blocks recorded yet'
+  },
+  trackers: {
+    intro: 'Third-party domains blocked most often, and how many different sites they followed you to.',
+    empty: 'No third-party blocks recorded yet'
+  }
+};
+
+// Cache DOM elements
+const DOM = {
+  goBack: document.getElementById('goBack'),
+  viewTabs: document.querySelectorAll('#viewTabs .tab-btn'),
+  topIntro: document.getElementById('topIntro'),
+  topList: document.getElementById('topList')
+};
+
+let currentView = 'sites';
+let taxonomy = null;
+
+// ============================================
+// RENDERING
+// ============================================
+function formatDate(time) {
+  return new Date(time).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// "📢 12 · 📊 3", largest category first
+function describeCategories(categories) {
+  return Object.entries(categories)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, count]) => `${taxonomy.describe(category).icon} ${count.toLocaleString()}`)
+    .join(' · ');
+}
+
+function describeSiteCount(entry) {
+  const count = entry.siteCount || 0;
+  const suffix = count >= SiteStats.MAX_SITES_PER_TRACKER ? '+' : '';
+  return `on ${count}${suffix} site${count === 1 ? '' : 's'}`;
+}
+
+function createEntry(entry, rank) {
+  const row = document.createElement('div');
+  row.className = 'top-entry';
+
+  const header = document.createElement('div');
+  header.className = 'top-entry-header';
+
+  const name = document.createElement('span');
+  name.className = 'top-entry-domain';
+  name.textContent = `${rank}. ${entry.domain}`;
+  const total = document.createElement('strong');
+  total.textContent = entry.total.toLocaleString();
+  header.append(name, total);
+
+  const categories = document.createElement('div');
+  categories.className = 'top-entry-meta';
+  categories.textContent = currentView === 'trackers'
+    ? `${describeCategories(entry.categories)} · ${describeSiteCount(entry)}`
+    : describeCategories(entry.categories);
+
+  const seen = document.createElement('div');
+  seen.className = 'top-entry-meta';
+  seen.textContent = `First seen ${formatDate(entry.firstSeen)} · last seen ${formatDate(entry.lastSeen)}`;
+
+  if (entry.sites && entry.sites.length > 0) {
+    row.title = entry.sites.join('\n');
+  }
+
+  row.append(header, categories, seen);
+  return row;
+}
+
+function renderTop(siteStats) {
+  const view = VIEWS[currentView];
+  const entries = SiteStats.top(siteStats?.[currentView], TOP_LIMIT);
+
+  DOM.topIntro.textContent = view.intro;
+  DOM.topList.innerHTML = '';
+
+  if (entries.length === 0) {
+    DOM.topList.innerHTML = `<div class="list-empty">${view.empty}</div>`;
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  entries.forEach((entry, index) => fragment.appendChild(createEntry(entry, index + 1)));
+  DOM.topList.appendChild(fragment);
+}
+
+function loadTop() {
+  chrome.storage.local.get(['siteStats'], (result) => {
+    renderTop(result.siteStats);
+  });
+}
+
+// ============================================
+// EVENT HANDLERS
+// ============================================
+DOM.viewTabs.forEach(btn => {
+  btn.addEventListener('click', () => {
+    DOM.viewTabs.forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    currentView = btn.dataset.view;
+    loadTop();
+  });
+});
+
+DOM.goBack.addEventListener('click', () => {
+  window.location.href = 'profile.html';
+});
+
+// ============================================
+// INITIALIZATION
+// ============================================
+Taxonomy.load().then((loaded) => {
+  taxonomy = loaded;
+  loadTop();
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+// Run with: node --test V1.8/tests/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Migrations = require('../lib/migrations');
+
+// chrome.storage.local over a plain object, recording each write
+function fakeStorage(initial = {}) {
+  const values = JSON.parse(JSON.stringify(initial));
+  const writes = [];
+
+  return {
+    values,
+    writes,
+    get: async (keys) => {
+      const result = {};
+      keys.forEach(key => {
+        if (values[key] !== undefined) result[key] = JSON.parse(JSON.stringify(values[key]));
+      });
+      return result;
+    },
+    set: async (items) => {
+      writes.push({ set: items });
+      Object.assign(values, JSON.parse(JSON.stringify(items)));
+    },
+    remove: async (keys) => {
+      writes.push({ remove: keys });
+      keys.forEach(key => delete values[key]);
+    }
+  };
+}
+
+function counter(version, key) {
+  return {
+    version,
+    description: `Append ${version} to ${key}`,
+    keys: [key],
+    migrate: data => ((data[key] || []).includes(version) ? {} : { set: { [key]: [...(data[key] || []), version] } })
+  };
+}
+
+test('applies every migration in order on a fresh install', async () => {
+  const storage = fakeStorage();
+  const result = await Migrations.migrate(storage);
+
+  assert.deepStrictEqual(result, {
+    from: 0,
+    to: Migrations.LATEST_VERSION,
+    applied: Migrations.MIGRATIONS.map(migration => migration.version)
+  });
+  assert.deepStrictEqual(
+    storage.writes.filter(write => write.set).map(write => write.set.schemaVersion),
+    Migrations.MIGRATIONS.map(migration => migration.version)
+  );
+  assert.strictEqual(storage.values.schemaVersion, Migrations.LATEST_VERSION);
+  assert.strictEqual(storage.values.userXP, 0);
+  assert.strictEqual(storage.values.userLevel, undefined);
+});
+
+test('runs only the migrations after the stored version, oldest first', async () => {
+  const migrations = [counter(1, 'order'), counter(2, 'order'), counter(3, 'order')];
+  const storage = fakeStorage({ schemaVersion: 1, order: [1] });
+
+  const result = await Migrations.migrate(storage, migrations);
+
+  assert.deepStrictEqual(result, { from: 1, to: 3, applied: [2, 3] });
+  assert.deepStrictEqual(storage.values.order, [1, 2, 3]);
+});
+
+test('back-fills an old install from its block count', async () => {
+  const storage = fakeStorage({ totalBlockedAllTime: 100, showBadge: false });
+  await Migrations.migrate(storage);
+
+  assert.strictEqual(storage.values.showBadge, false);
+  assert.strictEqual(storage.values.userXP, 300);
+  assert.strictEqual(storage.values.userCoins, 100);
+  assert.strictEqual(storage.values.totalDataSaved, 5000);
+});
+
+test('cuts tracker site lists down to a sample and keeps their count', async () => {
+  const sites = Array.from({ length: 40 }, (_, i) => `site${i}.example`);
+  const tracker = { total: 80, categories: { Advertising: 80 }, firstSeen: 1, lastSeen: 2, sites, siteCount: 40 };
+  const storage = fakeStorage({
+    schemaVersion: 3,
+    siteStats: { sites: {}, trackers: { 'ads.example': tracker }, entities: {} }
+  });
+
+  await Migrations.migrate(storage);
+
+  const migrated = storage.values.siteStats.trackers['ads.example'];
+  assert.deepStrictEqual(migrated.sites, sites.slice(0, 5));
+  assert.strictEqual(migrated.siteCount, 40);
+  assert.strictEqual(migrated.total, 80);
+});
+
+test('changes nothing when run a second time', async () => {
+  const storage = fakeStorage({ totalBlockedAllTime: 42, userLevel: 7 });
+  await Migrations.migrate(storage);
+  const migrated = JSON.parse(JSON.stringify(storage.values));
+  storage.writes.length = 0;
+
+  const result = await Migrations.migrate(storage);
+
+  assert.deepStrictEqual(result, { from: Migrations.LATEST_VERSION, to: Migrations.LATEST_VERSION, applied: [] });
+  assert.deepStrictEqual(storage.writes, []);
+  assert.deepStrictEqual(storage.values, migrated);
+});
+
+test('each migration is idempotent on data it has already migrated', async () => {
+  const storage = fakeStorage({ totalBlockedAllTime: 250, userXP: 1000, userLevel: 2 });
+
+  for (const migration of Migrations.MIGRATIONS) {
+    await Migrations.migrate(storage, Migrations.MIGRATIONS.slice(0, migration.version));
+    const data = await storage.get(migration.keys);
+    const { set = {}, remove = [] } = migration.migrate(data) || {};
+    assert.deepStrictEqual({ set, remove }, { set: {}, remove: [] }, `migration ${migration.version}`);
+  }
+});
+
+test('resumes from the migration that failed part way', async () => {
+  let failures = 1;
+  const flaky = {
+    ...counter(2, 'order'),
+    migrate: (data) => {
+      if (failures-- > 0) throw new Error('storage quota');
+      return counter(2, 'order').migrate(data);
+    }
+  };
+  const migrations = [counter(1, 'order'), flaky, counter(3, 'order')];
+  const storage = fakeStorage();
+
+  await assert.rejects(Migrations.migrate(storage, migrations), /storage quota/);
+  assert.strictEqual(storage.values.schemaVersion, 1);
+  assert.deepStrictEqual(storage.values.order, [1]);
+
+  const result = await Migrations.migrate(storage, migrations);
+
+  assert.deepStrictEqual(result, { from: 1, to: 3, applied: [2, 3] });
+  assert.deepStrictEqual(storage.values.order, [1, 2, 3]);
+});
+
+test('re-running a migration whose writes landed before the version did is harmless', async () => {
+  const migrations = [counter(1, 'order'), counter(2, 'order')];
+  // Migration 2 wrote its value, but the worker stopped before schemaVersion moved on
+  const storage = fakeStorage({ schemaVersion: 1, order: [1, 2] });
+
+  await Migrations.migrate(storage, migrations);
+
+  assert.deepStrictEqual(storage.values.order, [1, 2]);
+  assert.strictEqual(storage.values.schemaVersion, 2);
+});
+
+test('leaves data from a newer schema alone', async () => {
+  const storage = fakeStorage({ schemaVersion: Migrations.LATEST_VERSION + 5, userXP: 10 });
+
+  const result = await Migrations.migrate(storage);
+
+  assert.deepStrictEqual(result, {
+    from: Migrations.LATEST_VERSION + 5,
+    to: Migrations.LATEST_VERSION + 5,
+    applied: []
+  });
+  assert.deepStrictEqual(storage.writes, []);
+  assert.deepStrictEqual(storage.values, { schemaVersion: Migrations.LATEST_VERSION + 5, userXP: 10 });
+});
+
+test('rejects a registry with a gap in its versions', async () => {
+  const storage = fakeStorage();
+
+  await assert.rejects(
+    Migrations.migrate(storage, [counter(1, 'order'), counter(3, 'order')]),
+    /Migration 2 is declared as version 3/
+  );
+  assert.deepStrictEqual(storage.writes, []);
+});
+
+test('migrateData brings a snapshot up to date without changing it', async () => {
+  const data = { totalBlockedAllTime: 10, userXP: 250, userLevel: 1 };
+
+  const migrated = await Migrations.migrateData(data, 2);
+
+  assert.deepStrictEqual(data, { totalBlockedAllTime: 10, userXP: 250, userLevel: 1 });
+  assert.deepStrictEqual(migrated, { totalBlockedAllTime: 10, userXP: 250 });
+});
@@ -0,0 +1,98 @@
+// Compares lib/network_matcher.js with the character trie it replaced
+// Usage: node --expose-gc tools/benchmark_matcher.js [list-file] [url-count]
+// Builds both matchers from the same list, runs the same generated URLs through
+// them and prints build time, heap used, throughput and where they disagree.
+// Without --expose-gc the heap numbers include garbage and are only rough.
+
+const fs = require('fs');
+const path = require('path');
+const FilterParser = require('../lib/filter_parser');
+const { NetworkMatcher } = require('../lib/network_matcher');
+const { Taxonomy, TAXONOMY_PATH } = require('../lib/taxonomy');
+const { FilterTrie } = require('./legacy_filter_trie');
+
+const listFile = process.argv[2] || path.join(__dirname, '..', 'oisd_small_abp.txt');
+const urlCount = parseInt(process.argv[3] || '20000', 10);
+const taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(path.join(__dirname, '..', TAXONOMY_PATH), 'utf8')));
+
+// Deterministic so runs can be compared
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function pick(items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function heapUsed() {
+  if (global.gc) global.gc();
+  return process.memoryUsage().heapUsed;
+}
+
+const content = fs.readFileSync(listFile, 'utf8');
+const format = FilterParser.detectListFormat(content);
+const filters = content.split('\n')
+  .map(line => FilterParser.parseFilterLine(line, format))
+  .filter(filter => filter && !filter.error && filter.type === 'network');
+
+// Half the URLs hit listed hosts; the other half are ordinary pages that only
+// mention listed hosts in their path or query, which a pattern must not match
+const listedHosts = filters
+  .map(filter => filter.pattern.match(/^\|\|([a-z0-9.-]+)\^$/i))
+  .filter(Boolean)
+  .map(match => match[1]);
+const benignHosts = ['news.example', 'cdn.shop.example', 'docs.example.org', 'mail.example.net'];
+const words = ['static', 'assets', 'v2', 'img', 'article', 'search', 'user', 'thumb', 'api', 'id'];
+
+const urls = [];
+for (let i = 0; i < urlCount; i++) {
+  const segments = Array.from({ length: 1 + Math.floor(random() * 6) }, () => pick(words));
+  if (i % 2 === 0 && listedHosts.length > 0) {
+    const sub = random() < 0.3 ? `${pick(words)}.` : '';
+    urls.push(`https://${sub}${pick(listedHosts)}/${segments.join('/')}.js?cb=${i}`);
+  } else {
+    const mention = listedHosts.length > 0 ? pick(listedHosts) : 'example.com';
+    urls.push(`https://${pick(benignHosts)}/${segments.join('/')}?ref=${mention}&u=${mention}.evil&n=${i}`);
+  }
+}
+
+const context = FilterParser.buildRequestContext({
+  type: 'script',
+  url: urls[0],
+  initiator: 'https://news.example'
+});
+
+function run(name, Matcher) {
+  const heapBefore = heapUsed();
+  const buildStart = process.hrtime.bigint();
+  const matcher = new Matcher();
+  filters.forEach(filter => matcher.insert(filter, taxonomy.categorizeFilter(filter)));
+  const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+  const heapMb = (heapUsed() - heapBefore) / 1048576;
+
+  const results = [];
+  const matchStart = process.hrtime.bigint();
+  for (const url of urls) {
+    results.push(!!matcher.matches(url, context)?.matched);
+  }
+  const matchMs = Number(process.hrtime.bigint() - matchStart) / 1e6;
+
+  console.log(`${name.padEnd(16)}build ${buildMs.toFixed(0).padStart(6)} ms   heap ${heapMb.toFixed(1).padStart(6)} MB   ` +
+    `${Math.round(urls.length / (matchMs / 1000)).toString().padStart(8)} URLs/s   ${results.filter(Boolean).length} blocked`);
+  return results;
+}
+
+console.log(`${filters.length} network filters from ${path.basename(listFile)} (${format}), ${urls.length} URLs\n`);
+
+const legacy = run('legacy trie', FilterTrie);
+const current = run('network matcher', NetworkMatcher);
+
+const legacyOnly = urls.filter((url, i) => legacy[i] && !current[i]);
+const currentOnly = urls.filter((url, i) => current[i] && !legacy[i]);
+
+console.log(`\nBlocked only by the legacy trie: ${legacyOnly.length}`);
+legacyOnly.slice(0, 5).forEach(url => console.log(`  ${url}`));
+console.log(`Blocked only by the network matcher: ${currentOnly.length}`);
+currentOnly.slice(0, 5).forEach(url => console.log(`  ${url}`));
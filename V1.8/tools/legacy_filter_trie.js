@@ -0,0 +1,139 @@
+// ============================================
+// LEGACY_FILTER_TRIE.JS
+// The character trie background.js used before lib/network_matcher.js,
+// kept only so tools/benchmark_matcher.js has a baseline to compare with.
+// ============================================
+
+const FilterParser = require('../lib/filter_parser');
+
+class TrieNode {
+  constructor() {
+    this.children = new Map();
+    this.isPattern = false;
+    this.filters = [];
+  }
+}
+
+class FilterTrie {
+  constructor() {
+    this.root = new TrieNode();
+    // @@ filters live in their own trie and are only consulted once a block matched
+    this.exceptionRoot = new TrieNode();
+    this.patternCount = 0;
+    this.exceptionCount = 0;
+    this.importantCount = 0;
+  }
+
+  // filter is a parsed network filter from FilterParser.parseFilterLine()
+  insert(filter, category = 'Ad') {
+    let node = filter.isException ? this.exceptionRoot : this.root;
+    const cleanPattern = this._cleanPattern(filter.pattern);
+    
+    for (const char of cleanPattern) {
+      if (!node.children.has(char)) {
+        node.children.set(char, new TrieNode());
+      }
+      node = node.children.get(char);
+    }
+    
+    node.isPattern = true;
+    if (filter.important) this.importantCount++;
+    
+    if (filter.isException) {
+      node.filters.push({ filter, category: null });
+      this.exceptionCount++;
+    } else {
+      node.filters.push({ filter, category });
+      this.patternCount++;
+    }
+  }
+
+  _cleanPattern(pattern) {
+    return pattern
+      .replace(/^\|\|/, '')
+      .replace(/^\|/, '')
+      .replace(/\|$/, '')
+      .replace(/\*/g, '')
+      .replace(/\^/g, '')
+      .toLowerCase();
+  }
+
+  // context comes from FilterParser.buildRequestContext(); without one, options are ignored.
+  // Returns { matched: true, category } for a block, { matched: false, allowed: true, rule }
+  // when an @@ filter overrides it, or null when nothing applies.
+  matches(url, context = null) {
+    // An AdGuard $important block can only be undone by an $important exception, as in DNR
+    const important = this.importantCount > 0
+      ? this._search(this.root, url, context, entry => entry.filter.important)
+      : null;
+    const blocked = important || this._search(this.root, url, context, entry => true);
+    if (!blocked) return null;
+    
+    const documentUrl = context?.documentUrl;
+    const pageException = documentUrl ? this.findPageException(documentUrl, 'document') : null;
+    if (pageException && (!important || pageException.important)) {
+      return { matched: false, allowed: true, rule: pageException.raw };
+    }
+    
+    const exception = this._search(this.exceptionRoot, url, context,
+      entry => (!important || entry.filter.important) &&
+        !entry.filter.document && !entry.filter.elemhide && !entry.filter.generichide);
+    if (exception) {
+      return { matched: false, allowed: true, rule: exception.filter.raw };
+    }
+    
+    return { matched: true, category: blocked.category };
+  }
+
+  /**
+   * Find a page-level exception for a document URL.
+   * kind is 'document', 'elemhide' or 'generichide'; each kind is implied by the ones before it.
+   */
+  findPageException(documentUrl, kind) {
+    const entry = this._search(this.exceptionRoot, documentUrl, null, ({ filter }) =>
+      filter.document ||
+      (kind !== 'document' && filter.elemhide) ||
+      (kind === 'generichide' && filter.generichide));
+    return entry ? entry.filter : null;
+  }
+
+  _search(root, url, context, accept) {
+    const cleanUrl = url.toLowerCase();
+    
+    for (let i = 0; i < cleanUrl.length; i++) {
+      const result = this._searchFrom(root, cleanUrl, i, context, accept);
+      if (result) return result;
+    }
+    
+    return null;
+  }
+
+  _searchFrom(root, url, startIdx, context, accept) {
+    let node = root;
+    
+    for (let i = startIdx; i < url.length && node; i++) {
+      const char = url[i];
+      
+      if (node.isPattern) {
+        const result = this._matchNode(node, context, accept);
+        if (result) return result;
+      }
+      
+      node = node.children.get(char);
+    }
+    
+    return node?.isPattern ? this._matchNode(node, context, accept) : null;
+  }
+
+  // A pattern only counts when one of its filters' options fits the request
+  _matchNode(node, context, accept) {
+    for (const entry of node.filters) {
+      if (accept(entry) && FilterParser.matchesContext(entry.filter, context)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { FilterTrie };
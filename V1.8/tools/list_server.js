@@ -0,0 +1,50 @@
+// Local stand-in for a filter list server, for testing subscription updates
+// Usage: node tools/list_server.js <list-file> [port]
+// Then add http://localhost:<port>/ as a subscription on the settings page.
+// The file is re-read on every request, so editing it simulates a list update.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const listFile = process.argv[2];
+const port = parseInt(process.argv[3] || '8080', 10);
+
+if (!listFile) {
+  console.error('Usage: node tools/list_server.js <list-file> [port]');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${port}`);
+  
+  // /status/<code> lets the error path be exercised too
+  const statusMatch = pathname.match(/^\/status\/(\d{3})$/);
+  if (statusMatch) {
+    res.writeHead(parseInt(statusMatch[1], 10), { 'Content-Type': 'text/plain' });
+    res.end('Simulated error\n');
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} -> ${statusMatch[1]}`);
+    return;
+  }
+  
+  fs.readFile(listFile, 'utf8', (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('List not found\n');
+      console.log(`${new Date().toISOString()} ${req.method} ${req.url} -> 404`);
+      return;
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'no-store'
+    });
+    res.end(content);
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} -> 200 (${content.length} bytes)`);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Serving ${path.resolve(listFile)} at http://localhost:${port}/`);
+});